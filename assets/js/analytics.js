@@ -0,0 +1,164 @@
+/**
+ * Analytics Event Dispatcher
+ * Forwards filter and search interactions to the configured analytics sinks
+ *
+ * Theme scripts report events through window.eightyfouremTrack(name, data),
+ * and searches through window.eightyfouremTrackSettled(key, name, data), checking
+ * that they exist so they work whether or not this script is loaded.
+ * It dispatches an `eightyfourem:analytics` CustomEvent on document with
+ * { name, data } as its detail, which other code can also dispatch or listen for.
+ *
+ * Sinks are configured in includes/analytics.php (eightyfouremAnalytics.sinks):
+ * - dataLayer: pushes to window.dataLayer when a tag manager has created it
+ * - simpleAnalytics: records a Simple Analytics event through sa_event()
+ * - beacon: sends the event to the theme's REST endpoint with navigator.sendBeacon()
+ * - console: logs the event (used while WP_DEBUG is on)
+ * Other sinks can be added with window.registerAnalyticsSink(name, callback).
+ *
+ * Only the event name and its data are sent. Email addresses and long numbers
+ * typed into searches are redacted, and nothing but the console sink runs when
+ * the browser sends Do Not Track or Global Privacy Control.
+ *
+ * @package EightyFourEM
+ */
+
+(function () {
+	'use strict';
+
+	const EVENT_NAME = 'eightyfourem:analytics';
+	const MAX_VALUE_LENGTH = 100;
+	const SETTLE_DELAY = 1500; // Only report searches the visitor paused on, not every partial query
+
+	const config = window.eightyfouremAnalytics || {};
+
+	// Pending settled reports, keyed by the search they belong to
+	const settleTimeouts = {};
+
+	const sinks = {
+		dataLayer: function (event) {
+			if (Array.isArray(window.dataLayer)) {
+				window.dataLayer.push(Object.assign({ event: 'eightyfourem_' + event.name }, event.data));
+			}
+		},
+
+		simpleAnalytics: function (event) {
+			if (typeof window.sa_event === 'function') {
+				window.sa_event(event.name, event.data);
+			}
+		},
+
+		beacon: function (event) {
+			if (!config.endpoint || typeof navigator.sendBeacon !== 'function') {
+				return;
+			}
+
+			// Form data keeps the request CORS-safelisted and is parsed by the REST API as name/data[...]
+			const body = new URLSearchParams();
+			body.append('name', event.name);
+			Object.keys(event.data).forEach(function (key) {
+				body.append('data[' + key + ']', event.data[key]);
+			});
+
+			navigator.sendBeacon(config.endpoint, body);
+		},
+
+		console: function (event) {
+			console.info('[analytics]', event.name, event.data);
+		}
+	};
+
+	/**
+	 * Register a custom sink
+	 * Enable it by adding its name through the eightyfourem_analytics_sinks filter
+	 */
+	window.registerAnalyticsSink = function (name, callback) {
+		if (typeof callback === 'function') {
+			sinks[name] = callback;
+		}
+	};
+
+	/**
+	 * Report an event from a theme script
+	 */
+	window.eightyfouremTrack = function (name, data) {
+		document.dispatchEvent(new CustomEvent(EVENT_NAME, {
+			detail: { name: name, data: data }
+		}));
+	};
+
+	/**
+	 * Report a search once the visitor pauses on it
+	 * Each call replaces the pending report with the same key; leave out the name to cancel it
+	 */
+	window.eightyfouremTrackSettled = function (key, name, data) {
+		clearTimeout(settleTimeouts[key]);
+
+		if (name) {
+			settleTimeouts[key] = setTimeout(function () {
+				window.eightyfouremTrack(name, data);
+			}, SETTLE_DELAY);
+		}
+	};
+
+	/**
+	 * Check if the visitor has asked not to be tracked
+	 */
+	function isTrackingDeclined() {
+		return navigator.doNotTrack === '1' || window.doNotTrack === '1' || navigator.globalPrivacyControl === true;
+	}
+
+	/**
+	 * Strip personal details and limit the length of a string value
+	 */
+	function redact(value) {
+		return value
+			.replace(/[^\s@]+@[^\s@]+\.[^\s@]+/g, '[email]')
+			.replace(/\+?\d[\d\s().-]{5,}\d/g, '[number]')
+			.trim()
+			.substring(0, MAX_VALUE_LENGTH);
+	}
+
+	/**
+	 * Keep only flat string, number and boolean values
+	 */
+	function sanitizeData(data) {
+		const clean = {};
+
+		Object.keys(data || {}).forEach(function (key) {
+			const value = data[key];
+
+			if (typeof value === 'string') {
+				clean[key] = redact(value);
+			} else if (typeof value === 'number' || typeof value === 'boolean') {
+				clean[key] = value;
+			}
+		});
+
+		return clean;
+	}
+
+	document.addEventListener(EVENT_NAME, function (e) {
+		if (!e.detail || !e.detail.name) {
+			return;
+		}
+
+		const event = {
+			name: String(e.detail.name),
+			data: sanitizeData(e.detail.data)
+		};
+		const declined = isTrackingDeclined();
+
+		(config.sinks || []).forEach(function (name) {
+			if (!sinks[name] || (declined && name !== 'console')) {
+				return;
+			}
+
+			// A failing sink shouldn't stop the others
+			try {
+				sinks[name](event);
+			} catch (err) {
+				// Ignore
+			}
+		});
+	});
+})();
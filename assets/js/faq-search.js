@@ -7,247 +7,1283 @@
 (function() {
 	'use strict';
 
-	let searchTimeout;
 	const DEBOUNCE_DELAY = 300;
 
+	// Match scores for a query word: exact (or stemmed) word, prefix of a word, word within the typo allowance
+	const SCORE_EXACT = 3;
+	const SCORE_PREFIX = 2;
+	const SCORE_FUZZY = 1;
+
+	// Question matches count for more than answer matches when ranking
+	const QUESTION_WEIGHT = 2;
+
+	// Common words ignored in queries so "how do I update plugins" matches on "update plugins"
+	const STOP_WORDS = new Set([
+		'a', 'an', 'and', 'are', 'be', 'can', 'do', 'does', 'for', 'how', 'i', 'in', 'is',
+		'it', 'my', 'of', 'on', 'or', 'the', 'to', 'we', 'what', 'with', 'you', 'your'
+	]);
+
+	// Limits for the empty state: "Did you mean" queries and closest questions shown
+	const MAX_SUGGESTIONS = 3;
+	const MAX_CLOSEST = 3;
+
+	// Edit distance penalty for a suggestion that drops a query word with no near miss
+	const DROPPED_WORD_DISTANCE = 3;
+
+	// Letters and digits (with apostrophes) that make up a word in the page text
+	const WORD_PATTERN = /[\p{L}\p{N}'\u2019]+/gu;
+
+	// Containers that opt into a FAQ search
+	const CONTAINER_SELECTOR = '[data-faq-search], .faq-searchable';
+
+	// Default selector for the headings that start a FAQ section
+	const DEFAULT_SECTION_HEADING = 'h2';
+
+	// Question IDs used so far, shared by all searches on the page
+	const usedIds = new Set();
+
+	// FAQ entries printed by includes/enqueue.php, claimed by the searches as they index their items
+	let dataEntries = [];
+
 	/**
-	 * Initialize FAQ search when DOM is ready
+	 * Initialize a FAQ search for each opted-in container when DOM is ready
+	 * Pages without one get a single search over the post content, as before
 	 */
 	function init() {
-		const firstHeading = document.querySelector('h2.wp-block-heading');
-		if (!firstHeading) {
-			return;
+		dataEntries = getDataEntries();
+		dataEntries.forEach(entry => usedIds.add(entry.id));
+
+		let containers = Array.from(document.querySelectorAll(CONTAINER_SELECTOR));
+
+		// A container nested in another would search the same accordions twice
+		containers = containers.filter(container =>
+			!containers.some(other => other !== container && other.contains(container))
+		);
+
+		if (!containers.length) {
+			const fallback = getDefaultContainer();
+			if (fallback) {
+				containers = [fallback];
+			}
 		}
 
-		injectSearchInterface(firstHeading);
-		const searchInput = document.getElementById('faq-search-input');
-		const clearButton = document.getElementById('faq-search-clear');
+		containers.forEach((container, index) => {
+			createFaqSearch(container, index, containers.length);
+		});
+	}
 
-		if (searchInput) {
-			searchInput.addEventListener('input', handleSearchInput);
-			searchInput.addEventListener('keydown', handleKeydown);
+	/**
+	 * Read the FAQ entries (id, question, answer text, section) from the page's JSON island
+	 * Returns an empty list when the island is missing or invalid, so the search reads the page instead
+	 */
+	function getDataEntries() {
+		const island = document.getElementById('faq-search-data');
+		if (!island) {
+			return [];
+		}
+
+		try {
+			const entries = JSON.parse(island.textContent);
+			return Array.isArray(entries) ? entries.filter(entry => entry && entry.id && entry.question) : [];
+		} catch (e) {
+			return [];
 		}
+	}
+
+	/**
+	 * Take the JSON island entry for an FAQ item, matched by ID or question text
+	 */
+	function claimDataEntry(item, questionText) {
+		const question = normalizeText(questionText);
+		const index = dataEntries.findIndex(entry =>
+			item.id ? entry.id === item.id : normalizeText(entry.question) === question
+		);
+
+		return index === -1 ? null : dataEntries.splice(index, 1)[0];
+	}
 
-		if (clearButton) {
-			clearButton.addEventListener('click', clearSearch);
+	/**
+	 * Get the container used when no element opts in: the content holding the first accordion
+	 */
+	function getDefaultContainer() {
+		const accordion = document.querySelector('.wp-block-accordion');
+		if (!accordion) {
+			return null;
 		}
+
+		return accordion.closest('.wp-block-post-content, main') || accordion.parentNode;
 	}
 
 	/**
-	 * Inject search interface HTML before first H2 heading
+	 * Set up a FAQ search scoped to the accordions inside a container
+	 *
+	 * Container data attributes:
+	 * - data-faq-search-heading: selector for section headings (default "h2")
+	 * - data-faq-search-param: URL parameter holding the query; "q" when the search
+	 *   is the only one on the page, set it (or "false") when there are several
+	 * - data-faq-search-label: label shown above the input (default "Search FAQs")
 	 */
-	function injectSearchInterface(firstHeading) {
-		const searchHTML = `
-			<div class="faq-search-wrapper">
-				<div class="faq-search-container">
-					<label for="faq-search-input" class="faq-search-label">
-						Search FAQs
-					</label>
-					<div class="faq-search-input-wrapper">
-						<svg class="faq-search-icon" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 512 512" aria-hidden="true" focusable="false">
-							<path d="M416 208c0 45.9-14.9 88.3-40 122.7L502.6 457.4c12.5 12.5 12.5 32.8 0 45.3s-32.8 12.5-45.3 0L330.7 376c-34.4 25.2-76.8 40-122.7 40C93.1 416 0 322.9 0 208S93.1 0 208 0S416 93.1 416 208zM208 352a144 144 0 1 0 0-288 144 144 0 1 0 0 288z"/>
-						</svg>
-						<input
-							type="search"
-							id="faq-search-input"
-							class="faq-search-input"
-							placeholder="Type to search questions and answers..."
-							autocomplete="off"
-							aria-describedby="faq-search-results-summary"
-						/>
-						<button
-							type="button"
-							id="faq-search-clear"
-							class="faq-search-clear"
-							aria-label="Clear search"
-							hidden
-						>
-							<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 384 512" aria-hidden="true" focusable="false">
-								<path d="M342.6 150.6c12.5-12.5 12.5-32.8 0-45.3s-32.8-12.5-45.3 0L192 210.7 86.6 105.4c-12.5-12.5-32.8-12.5-45.3 0s-12.5 32.8 0 45.3L146.7 256 41.4 361.4c-12.5 12.5-12.5 32.8 0 45.3s32.8 12.5 45.3 0L192 301.3 297.4 406.6c12.5 12.5 32.8 12.5 45.3 0s12.5-32.8 0-45.3L237.3 256 342.6 150.6z"/>
+	function createFaqSearch(container, instanceIndex, instanceCount) {
+		const headingSelector = container.dataset.faqSearchHeading || DEFAULT_SECTION_HEADING;
+		const urlParam = getUrlParam(container, instanceCount);
+		const idSuffix = instanceIndex ? '-' + (instanceIndex + 1) : '';
+
+		// Searchable words for each FAQ item, built once on init
+		const faqIndex = [];
+
+		// How often each word appears in the questions and answers, used for "Did you mean" suggestions
+		const vocabulary = new Map();
+
+		// Sections of the container, each hidden when a search leaves it without visible questions
+		let sections = [];
+
+		// Items opened because their answer matched, closed again when they stop matching
+		const autoOpened = new Set();
+
+		let searchTimeout;
+
+		buildIndex();
+		if (!faqIndex.length) {
+			return;
+		}
+
+		sections = buildSections();
+
+		const wrapper = injectSearchInterface();
+		const searchInput = wrapper.querySelector('.faq-search-input');
+		const clearButton = wrapper.querySelector('.faq-search-clear');
+		const summary = wrapper.querySelector('.faq-search-results-summary');
+		const emptyState = wrapper.querySelector('.faq-search-empty');
+
+		searchInput.addEventListener('input', handleSearchInput);
+		searchInput.addEventListener('keydown', handleKeydown);
+		clearButton.addEventListener('click', clearSearch);
+		wrapper.querySelector('.faq-search-expand-all').addEventListener('click', () => setAllOpen(true));
+		wrapper.querySelector('.faq-search-collapse-all').addEventListener('click', () => setAllOpen(false));
+		container.addEventListener('keydown', handleQuestionKeydown);
+
+		// "/" focuses the first search on the page
+		if (!instanceIndex) {
+			document.addEventListener('keydown', handleShortcut);
+		}
+
+		// Restore a shared search from the URL
+		const query = urlParam ? (new URLSearchParams(window.location.search).get(urlParam) || '').trim() : '';
+		if (query) {
+			searchInput.value = query;
+			clearButton.hidden = false;
+			filterFAQs(query);
+		}
+
+		// Links to a question are prepared before scroll-to.js scrolls to them (window capture runs first)
+		window.addEventListener('click', handleLinkClick, true);
+		window.addEventListener('hashchange', () => openFromHash(true));
+
+		// A question linked on load is scrolled to by scroll-to.js, after every search has prepared its questions
+		openFromHash(false);
+
+		/**
+		 * Inject search interface HTML before the first section heading (or the first accordion)
+		 */
+		function injectSearchInterface() {
+			const inputId = 'faq-search-input' + idSuffix;
+			const clearId = 'faq-search-clear' + idSuffix;
+			const summaryId = 'faq-search-results-summary' + idSuffix;
+			const label = container.dataset.faqSearchLabel || 'Search FAQs';
+
+			const searchHTML = `
+				<div class="faq-search-wrapper">
+					<div class="faq-search-container">
+						<label for="${inputId}" class="faq-search-label"></label>
+						<div class="faq-search-input-wrapper">
+							<svg class="faq-search-icon" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 512 512" aria-hidden="true" focusable="false">
+								<path d="M416 208c0 45.9-14.9 88.3-40 122.7L502.6 457.4c12.5 12.5 12.5 32.8 0 45.3s-32.8 12.5-45.3 0L330.7 376c-34.4 25.2-76.8 40-122.7 40C93.1 416 0 322.9 0 208S93.1 0 208 0S416 93.1 416 208zM208 352a144 144 0 1 0 0-288 144 144 0 1 0 0 288z"/>
 							</svg>
-						</button>
+							<input
+								type="search"
+								id="${inputId}"
+								class="faq-search-input"
+								placeholder="Type to search questions and answers..."
+								autocomplete="off"
+								aria-describedby="${summaryId}"
+								${instanceIndex ? '' : 'aria-keyshortcuts="/"'}
+							/>
+							<button
+								type="button"
+								id="${clearId}"
+								class="faq-search-clear"
+								aria-label="Clear search"
+								hidden
+							>
+								<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 384 512" aria-hidden="true" focusable="false">
+									<path d="M342.6 150.6c12.5-12.5 12.5-32.8 0-45.3s-32.8-12.5-45.3 0L192 210.7 86.6 105.4c-12.5-12.5-32.8-12.5-45.3 0s-12.5 32.8 0 45.3L146.7 256 41.4 361.4c-12.5 12.5-12.5 32.8 0 45.3s32.8 12.5 45.3 0L192 301.3 297.4 406.6c12.5 12.5 32.8 12.5 45.3 0s12.5-32.8 0-45.3L237.3 256 342.6 150.6z"/>
+								</svg>
+							</button>
+						</div>
+					</div>
+					<div class="faq-search-controls">
+						<button type="button" class="faq-search-expand-all">Expand all</button>
+						<button type="button" class="faq-search-collapse-all">Collapse all</button>
 					</div>
+					<div
+						id="${summaryId}"
+						class="faq-search-results-summary"
+						role="status"
+						aria-live="polite"
+						aria-atomic="true"
+					></div>
+					<div class="faq-search-empty" hidden></div>
 				</div>
-				<div
-					id="faq-search-results-summary"
-					class="faq-search-results-summary"
-					role="status"
-					aria-live="polite"
-					aria-atomic="true"
-				></div>
-			</div>
-		`;
-
-		firstHeading.insertAdjacentHTML('beforebegin', searchHTML);
+			`;
+
+			const template = document.createElement('template');
+			template.innerHTML = searchHTML.trim();
+			const element = template.content.firstElementChild;
+			element.querySelector('.faq-search-label').textContent = label;
+
+			// Insert before the container child holding the heading, so a Group block that is
+			// hidden along with its section doesn't take the search with it
+			const firstSection = sections.find(section => section.entries.length);
+			const anchor = firstSection.elements.find(el =>
+				firstSection.heading
+					? el.contains(firstSection.heading)
+					: el.matches('.wp-block-accordion') || el.querySelector('.wp-block-accordion')
+			);
+
+			anchor.parentNode.insertBefore(element, anchor);
+
+			return element;
+		}
+
+		/**
+		 * Handle search input with debouncing
+		 */
+		function handleSearchInput(e) {
+			const hasValue = e.target.value.trim().length > 0;
+
+			clearButton.hidden = !hasValue;
+
+			clearTimeout(searchTimeout);
+			searchTimeout = setTimeout(() => {
+				filterFAQs(e.target.value.trim());
+			}, DEBOUNCE_DELAY);
+		}
+
+		/**
+		 * Handle keyboard shortcuts
+		 */
+		function handleKeydown(e) {
+			if (e.key === 'Escape') {
+				clearSearch();
+			} else if (e.key === 'ArrowDown') {
+				// Move from the search into the results
+				const toggles = getVisibleToggles();
+				if (toggles.length) {
+					e.preventDefault();
+					toggles[0].focus();
+				}
+			}
+		}
+
+		/**
+		 * Focus the search with "/" unless the visitor is typing elsewhere
+		 */
+		function handleShortcut(e) {
+			if (e.key !== '/' || e.ctrlKey || e.metaKey || e.altKey || e.defaultPrevented) {
+				return;
+			}
+
+			const target = e.target;
+			if (target.isContentEditable || (target.closest && target.closest('input, textarea, select'))) {
+				return;
+			}
+
+			e.preventDefault();
+			searchInput.focus();
+			searchInput.select();
+		}
+
+		/**
+		 * Move between visible questions with the arrow keys, Home and End
+		 */
+		function handleQuestionKeydown(e) {
+			const toggle = e.target.closest ? e.target.closest('.wp-block-accordion-heading__toggle') : null;
+			if (!toggle || e.ctrlKey || e.metaKey || e.altKey) {
+				return;
+			}
+
+			const toggles = getVisibleToggles();
+			const index = toggles.indexOf(toggle);
+			if (index === -1) {
+				return;
+			}
+
+			let nextIndex;
+
+			switch (e.key) {
+				case 'ArrowDown':
+					nextIndex = Math.min(index + 1, toggles.length - 1);
+					break;
+				case 'ArrowUp':
+					// Above the first question is the search
+					if (!index) {
+						e.preventDefault();
+						searchInput.focus();
+						return;
+					}
+					nextIndex = index - 1;
+					break;
+				case 'Home':
+					nextIndex = 0;
+					break;
+				case 'End':
+					nextIndex = toggles.length - 1;
+					break;
+				default:
+					return;
+			}
+
+			e.preventDefault();
+			toggles[nextIndex].focus();
+		}
+
+		/**
+		 * Get the toggles of the questions the current search shows, in page order
+		 */
+		function getVisibleToggles() {
+			const visibleItems = new Set(getVisibleEntries().map(entry => entry.item));
+
+			return Array.from(container.querySelectorAll('.wp-block-accordion-item'))
+				.filter(item => visibleItems.has(item))
+				.map(item => faqIndex.find(entry => entry.item === item).toggle)
+				.filter(Boolean);
+		}
+
+		/**
+		 * Get the indexed FAQ items the current search shows
+		 */
+		function getVisibleEntries() {
+			return faqIndex.filter(entry => entry.item.style.display !== 'none');
+		}
+
+		/**
+		 * Open or close every question the current search shows
+		 * Hidden questions are left as they are
+		 */
+		function setAllOpen(open) {
+			getVisibleEntries().forEach(entry => {
+				// Opened on request, so a later search shouldn't close it
+				autoOpened.delete(entry.item);
+				setOpen(entry, open);
+			});
+		}
+
+		/**
+		 * Clear search and show all FAQs
+		 */
+		function clearSearch() {
+			resetSearch();
+			searchInput.focus();
+		}
+
+		/**
+		 * Empty the search input and show all FAQs without moving focus
+		 */
+		function resetSearch() {
+			searchInput.value = '';
+			clearButton.hidden = true;
+
+			clearTimeout(searchTimeout);
+			filterFAQs('');
+		}
+
+		/**
+		 * Keep the URL parameter in sync with the search without adding history entries
+		 */
+		function updateUrl(query) {
+			if (!urlParam) {
+				return;
+			}
+
+			const url = new URL(window.location.href);
+
+			if (query) {
+				url.searchParams.set(urlParam, query);
+			} else {
+				url.searchParams.delete(urlParam);
+			}
+
+			if (url.href !== window.location.href) {
+				history.replaceState(null, '', url.href);
+			}
+		}
+
+		/**
+		 * Find the indexed FAQ item with an ID
+		 */
+		function findEntry(id) {
+			return faqIndex.find(entry => entry.item.id === id) || null;
+		}
+
+		/**
+		 * Make a FAQ item visible and open it
+		 * Clears the search when it hides the item
+		 */
+		function revealEntry(entry) {
+			if (entry.item.style.display === 'none') {
+				resetSearch();
+			}
+
+			// Opened on request, so a later search shouldn't close it
+			autoOpened.delete(entry.item);
+			setOpen(entry, true);
+		}
+
+		/**
+		 * Open the question named in the URL hash
+		 * When scroll is true, also scroll it below the sticky elements and highlight it
+		 */
+		function openFromHash(scroll) {
+			const entry = findEntry(getHashId(window.location.hash));
+			if (!entry) {
+				return;
+			}
+
+			revealEntry(entry);
+
+			// Scrolls below the sticky elements and highlights it (scroll-to.js, highlight.js)
+			if (scroll && typeof window.scrollToTarget === 'function') {
+				window.scrollToTarget(entry.item);
+			}
+		}
+
+		/**
+		 * Open a linked question before the link is followed
+		 * scroll-to.js then scrolls to it and highlight.js highlights it
+		 */
+		function handleLinkClick(e) {
+			const link = e.target.closest ? e.target.closest('a[href*="#"]') : null;
+			if (!link) {
+				return;
+			}
+
+			const url = new URL(link.href, window.location.href);
+			if (url.pathname !== window.location.pathname) {
+				return;
+			}
+
+			const entry = findEntry(getHashId(url.hash));
+			if (entry) {
+				revealEntry(entry);
+			}
+		}
+
+		/**
+		 * Index the question and answer words of every FAQ item in the container
+		 * Text and IDs come from the JSON island when it has the item, otherwise from the page
+		 */
+		function buildIndex() {
+			container.querySelectorAll('.wp-block-accordion-item').forEach(item => {
+				const questionTitle = item.querySelector('.wp-block-accordion-heading__toggle-title');
+				const panel = item.querySelector('.wp-block-accordion-panel');
+
+				if (!questionTitle) {
+					return;
+				}
+
+				const data = claimDataEntry(item, questionTitle.textContent);
+				const questionText = data ? data.question : questionTitle.textContent;
+				const answerText = data ? data.answer || '' : (panel ? panel.textContent : '');
+
+				// Keep IDs set in the editor, otherwise use the one shared with the schema or derive one from the question
+				if (!item.id) {
+					item.id = data ? data.id : generateId(questionText, usedIds);
+				}
+				usedIds.add(item.id);
+
+				const toggle = item.querySelector('.wp-block-accordion-heading__toggle');
+
+				tokenize(questionText + ' ' + answerText).forEach(word => {
+					if (word.length >= 3 && !STOP_WORDS.has(word) && !/^\d+$/.test(word)) {
+						vocabulary.set(word, (vocabulary.get(word) || 0) + 1);
+					}
+				});
+
+				faqIndex.push({
+					item,
+					questionTitle,
+					panel,
+					toggle,
+					position: faqIndex.length,
+					section: data ? data.section || '' : '',
+					question: getWordSet(questionText),
+					answer: getWordSet(answerText)
+				});
+
+				// A visitor toggling the item takes over from the automatic opening
+				if (toggle) {
+					toggle.addEventListener('click', e => {
+						if (e.isTrusted) {
+							autoOpened.delete(item);
+						}
+					});
+				}
+			});
+		}
+
+		/**
+		 * Split the container's children into sections
+		 *
+		 * A section starts at a section heading and runs to the last accordion
+		 * before the next heading. Anything between that accordion and the next
+		 * heading (separators, spacers, intro text) belongs to the next section,
+		 * so it's hidden along with it. Content before the first heading and after
+		 * the last accordion is never hidden. A child that holds both a heading
+		 * and an accordion (such as a Group block) is a section of its own.
+		 */
+		function buildSections() {
+			const result = [];
+			let current = { heading: null, elements: [], entries: [] };
+			let trailing = [];
+
+			const hasAccordion = el => el.matches('.wp-block-accordion') || el.querySelector('.wp-block-accordion') !== null;
+
+			const startSection = heading => {
+				result.push(current);
+				current = { heading, elements: trailing, entries: [] };
+				trailing = [];
+			};
+
+			Array.from(container.children).forEach(child => {
+				if (hasAccordion(child) && child.querySelector(headingSelector)) {
+					startSection(child.querySelector(headingSelector));
+					current.elements.push(child);
+					startSection(null);
+					return;
+				}
+
+				if (child.matches(headingSelector)) {
+					startSection(child);
+					current.elements.push(child);
+					return;
+				}
+
+				if (hasAccordion(child)) {
+					current.elements.push(...trailing, child);
+					trailing = [];
+					return;
+				}
+
+				if (current.elements.some(hasAccordion)) {
+					trailing.push(child);
+				} else {
+					current.elements.push(child);
+				}
+			});
+
+			result.push(current, { heading: null, elements: trailing, entries: [] });
+
+			faqIndex.forEach(entry => {
+				const section = result.find(candidate => candidate.elements.some(el => el.contains(entry.item)));
+				if (section) {
+					section.entries.push(entry);
+				}
+			});
+
+			return result.filter(section => section.elements.length);
+		}
+
+		/**
+		 * Reorder items within each accordion by score, keeping page order for ties
+		 * Without scores the original page order is restored
+		 */
+		function rankItems(scores) {
+			const sorted = faqIndex.slice().sort((a, b) => {
+				const difference = scores ? (scores.get(b) || 0) - (scores.get(a) || 0) : 0;
+				return difference || a.position - b.position;
+			});
+
+			// Re-appending moves each item to the end of its accordion, producing the sorted order
+			sorted.forEach(entry => {
+				entry.item.parentNode.appendChild(entry.item);
+			});
+		}
+
+		/**
+		 * Highlight matches in an item and open it when its answer matched
+		 */
+		function updateHighlights(entry, words) {
+			removeHighlights(entry.questionTitle);
+			if (entry.panel) {
+				removeHighlights(entry.panel);
+			}
+
+			const visible = entry.item.style.display !== 'none';
+			let answerMatched = false;
+
+			if (words.length && visible) {
+				highlightMatches(entry.questionTitle, words);
+				answerMatched = entry.panel ? highlightMatches(entry.panel, words) : false;
+			}
+
+			if (answerMatched) {
+				if (!isOpen(entry)) {
+					setOpen(entry, true);
+					autoOpened.add(entry.item);
+				}
+			} else if (autoOpened.has(entry.item)) {
+				setOpen(entry, false);
+				autoOpened.delete(entry.item);
+			}
+		}
+
+		/**
+		 * Filter FAQ items based on search query
+		 * Works with WordPress 6.9+ core accordion block
+		 */
+		function filterFAQs(query) {
+			const words = getQueryWords(query);
+			const scores = new Map();
+			let visibleCount = 0;
+			const totalCount = faqIndex.length;
+
+			faqIndex.forEach(entry => {
+				const item = entry.item;
+				const score = words.length ? scoreEntry(entry, words) : 0;
+
+				if (!words.length || score > 0) {
+					item.style.display = '';
+					item.setAttribute('aria-hidden', 'false');
+					scores.set(entry, score);
+					visibleCount++;
+				} else {
+					item.style.display = 'none';
+					item.setAttribute('aria-hidden', 'true');
+				}
+			});
+
+			// Best matches first within each section, page order when the search is cleared
+			rankItems(words.length ? scores : null);
+
+			faqIndex.forEach(entry => {
+				updateHighlights(entry, words);
+			});
+
+			updateSections(Boolean(query));
+
+			const suggestions = query && !visibleCount ? getSuggestions(words) : [];
+			updateEmptyState(query && !visibleCount ? query : '', words, suggestions);
+			updateResultsSummary(summary, query, visibleCount, totalCount, suggestions);
+			updateUrl(query);
+
+			// Report the search to the analytics dispatcher (assets/js/analytics.js) once the visitor pauses on it
+			if (typeof window.eightyfouremTrackSettled === 'function') {
+				window.eightyfouremTrackSettled('faq_search:' + instanceIndex, query ? 'faq_search' : null, { query: query, results: visibleCount });
+			}
+		}
+
+		/**
+		 * Check if a query word matches a FAQ item on its own, ignoring typo-tolerant matches
+		 */
+		function isKnownWord(word, allowPrefix) {
+			return faqIndex.some(entry =>
+				scoreWord(word, entry.question, allowPrefix) > SCORE_FUZZY || scoreWord(word, entry.answer, allowPrefix) > SCORE_FUZZY
+			);
+		}
+
+		/**
+		 * Count the FAQ items matching a list of query words
+		 */
+		function countMatches(words) {
+			return faqIndex.filter(entry => scoreEntry(entry, words) > 0).length;
+		}
+
+		/**
+		 * Get the closest FAQ vocabulary words to a query word, nearest and most common first
+		 */
+		function getNearMisses(word) {
+			const allowance = getSuggestionAllowance(word);
+			const candidates = [];
+
+			vocabulary.forEach((count, candidate) => {
+				const distance = editDistance(word, candidate, allowance);
+
+				if (distance <= allowance) {
+					candidates.push({ word: candidate, distance, count });
+				}
+			});
+
+			return candidates
+				.sort((a, b) => a.distance - b.distance || b.count - a.count)
+				.slice(0, MAX_SUGGESTIONS);
+		}
+
+		/**
+		 * Build "Did you mean" queries for a search without results
+		 *
+		 * Words that only match with a typo, or not at all, are swapped for near
+		 * misses from the FAQ vocabulary, or dropped when there are none. Only queries that find
+		 * questions are suggested, closest to the original first.
+		 */
+		function getSuggestions(words) {
+			const known = words.map((word, index) => isKnownWord(word, index === words.length - 1));
+
+			// Only the nearest miss is tried when several words are unknown, keeping the combinations few
+			const missesPerWord = known.filter(isKnown => !isKnown).length > 2 ? 1 : MAX_SUGGESTIONS;
+
+			const options = words.map((word, index) => {
+				if (known[index]) {
+					return [{ word, distance: 0 }];
+				}
+
+				const nearMisses = getNearMisses(word).slice(0, missesPerWord);
+				return nearMisses.length ? nearMisses : [{ word: null, distance: DROPPED_WORD_DISTANCE }];
+			});
+
+			// Every combination of the options for each word
+			const combinations = options.reduce((result, wordOptions) => {
+				const next = [];
+
+				result.forEach(combination => {
+					wordOptions.forEach(option => {
+						next.push(combination.concat(option));
+					});
+				});
+
+				return next;
+			}, [[]]);
+
+			const original = words.join(' ');
+			const suggestions = new Map();
+
+			combinations.forEach(combination => {
+				const suggestionWords = combination.map(option => option.word).filter(Boolean);
+				const suggestion = suggestionWords.join(' ');
+
+				if (!suggestion || suggestion === original || suggestions.has(suggestion)) {
+					return;
+				}
+
+				const results = countMatches(suggestionWords);
+				if (results) {
+					suggestions.set(suggestion, {
+						query: suggestion,
+						distance: combination.reduce((total, option) => total + option.distance, 0),
+						results
+					});
+				}
+			});
+
+			return Array.from(suggestions.values())
+				.sort((a, b) => a.distance - b.distance || b.results - a.results)
+				.slice(0, MAX_SUGGESTIONS)
+				.map(suggestion => suggestion.query);
+		}
+
+		/**
+		 * Get the questions sharing the most words with a search, best first
+		 * Unlike the search itself, a question only needs to match one word
+		 */
+		function getClosestEntries(words) {
+			return faqIndex
+				.map(entry => ({
+					entry,
+					score: words.reduce((total, word) => total + Math.max(
+						scoreWord(word, entry.question, false) * QUESTION_WEIGHT,
+						scoreWord(word, entry.answer, false)
+					), 0)
+				}))
+				.filter(match => match.score > 0)
+				.sort((a, b) => b.score - a.score || a.entry.position - b.entry.position)
+				.slice(0, MAX_CLOSEST)
+				.map(match => match.entry);
+		}
+
+		/**
+		 * Run a suggested search as if it had been typed
+		 */
+		function applySuggestion(query) {
+			searchInput.value = query;
+			clearButton.hidden = false;
+
+			clearTimeout(searchTimeout);
+			filterFAQs(query);
+			searchInput.focus();
+		}
+
+		/**
+		 * Show "Did you mean" queries, the closest questions and a site search link
+		 * when a search finds nothing, hide the empty state otherwise
+		 */
+		function updateEmptyState(query, words, suggestions) {
+			emptyState.textContent = '';
+			emptyState.hidden = !query;
+
+			if (!query) {
+				return;
+			}
+
+			if (suggestions.length) {
+				const paragraph = document.createElement('p');
+				paragraph.className = 'faq-search-empty__suggestions';
+				paragraph.append('Did you mean ');
+
+				suggestions.forEach((suggestion, index) => {
+					if (index) {
+						paragraph.append(index === suggestions.length - 1 ? ' or ' : ', ');
+					}
+
+					const button = document.createElement('button');
+					button.type = 'button';
+					button.className = 'faq-search-suggestion';
+					button.textContent = suggestion;
+					button.addEventListener('click', () => applySuggestion(suggestion));
+					paragraph.append(button);
+				});
+
+				paragraph.append('?');
+				emptyState.append(paragraph);
+			}
+
+			// Suggested words find questions the misspelled ones can't
+			const closestWords = Array.from(new Set(words.concat(suggestions.length ? suggestions[0].split(' ') : [])));
+			const closest = getClosestEntries(closestWords);
+
+			if (closest.length) {
+				const heading = document.createElement('p');
+				heading.className = 'faq-search-empty__heading';
+				heading.textContent = 'Closest questions:';
+
+				// Links open the question through handleLinkClick, which clears this search
+				const list = document.createElement('ul');
+				list.className = 'faq-search-empty__questions';
+
+				closest.forEach(entry => {
+					const link = document.createElement('a');
+					link.href = '#' + entry.item.id;
+					link.textContent = entry.questionTitle.textContent.trim();
+
+					const listItem = document.createElement('li');
+					listItem.append(link);
+
+					if (entry.section) {
+						const section = document.createElement('span');
+						section.className = 'faq-search-empty__section';
+						section.textContent = ' (' + entry.section + ')';
+						listItem.append(section);
+					}
+					list.append(listItem);
+				});
+
+				emptyState.append(heading, list);
+			}
+
+			const siteUrl = new URL('/', window.location.origin);
+			siteUrl.searchParams.set('s', query);
+
+			const siteLink = document.createElement('a');
+			siteLink.className = 'faq-search-site-link';
+			siteLink.href = siteUrl.href;
+			siteLink.textContent = `Search the whole site for "${query}"`;
+
+			// Open the modal search (assets/js/modal-search.js) with the query filled in when it's available
+			siteLink.addEventListener('click', e => {
+				if (typeof window.openSearchModal === 'function') {
+					e.preventDefault();
+					window.openSearchModal(query);
+				}
+			});
+
+			const siteParagraph = document.createElement('p');
+			siteParagraph.className = 'faq-search-empty__site';
+			siteParagraph.append(siteLink);
+			emptyState.append(siteParagraph);
+		}
+
+		/**
+		 * Hide sections without visible FAQ items while searching, show them all otherwise
+		 * Only sections that start with a heading are hidden
+		 */
+		function updateSections(searching) {
+			sections.forEach(section => {
+				if (!section.heading || !section.entries.length) {
+					return;
+				}
+
+				const hasVisibleFAQs = !searching || section.entries.some(entry =>
+					entry.item.style.display !== 'none'
+				);
+
+				section.elements.forEach(el => {
+					// Never hide the search itself
+					if (!el.contains(wrapper)) {
+						el.style.display = hasVisibleFAQs ? '' : 'none';
+					}
+				});
+			});
+		}
 	}
 
 	/**
-	 * Handle search input with debouncing
+	 * Get the URL parameter a search keeps its query in, or null for none
 	 */
-	function handleSearchInput(e) {
-		const clearButton = document.getElementById('faq-search-clear');
-		const hasValue = e.target.value.trim().length > 0;
+	function getUrlParam(container, instanceCount) {
+		const param = container.dataset.faqSearchParam;
 
-		if (clearButton) {
-			clearButton.hidden = !hasValue;
+		if (param !== undefined) {
+			return param && param !== 'false' ? param : null;
 		}
 
-		clearTimeout(searchTimeout);
-		searchTimeout = setTimeout(() => {
-			filterFAQs(e.target.value.trim());
-		}, DEBOUNCE_DELAY);
+		// Several searches can't share one parameter, so they only sync when configured
+		return instanceCount === 1 ? 'q' : null;
 	}
 
 	/**
-	 * Handle keyboard shortcuts
+	 * Get the ID named in a URL hash
+	 * A malformed escape sequence (e.g. #faq-%E0) is kept as typed rather than throwing
 	 */
-	function handleKeydown(e) {
-		if (e.key === 'Escape') {
-			clearSearch();
+	function getHashId(hash) {
+		const id = hash.substring(1);
+
+		try {
+			return decodeURIComponent(id);
+		} catch (e) {
+			return id;
 		}
 	}
 
 	/**
-	 * Clear search and show all FAQs
+	 * Generate a stable faq-<slug> ID from question text
+	 * The slug is limited to the first eight words to keep links readable
 	 */
-	function clearSearch() {
-		const searchInput = document.getElementById('faq-search-input');
-		const clearButton = document.getElementById('faq-search-clear');
+	function generateId(text, usedIds) {
+		const words = normalizeText(text).split(' ').filter(Boolean).slice(0, 8);
+		const base = 'faq-' + (words.join('-') || 'question');
+		let candidate = base;
+		let suffix = 2;
 
-		if (searchInput) {
-			searchInput.value = '';
-			searchInput.focus();
+		while (usedIds.has(candidate) || document.getElementById(candidate)) {
+			candidate = base + '-' + suffix;
+			suffix++;
 		}
 
-		if (clearButton) {
-			clearButton.hidden = true;
+		return candidate;
+	}
+
+	/**
+	 * Lowercase text and strip diacritics and punctuation
+	 */
+	function normalizeText(text) {
+		return text
+			.normalize('NFD')
+			.replace(/[\u0300-\u036f]/g, '')
+			.toLowerCase()
+			.replace(/['\u2019]/g, '')
+			.replace(/[^a-z0-9]+/g, ' ')
+			.trim();
+	}
+
+	/**
+	 * Split text into normalized words
+	 */
+	function tokenize(text) {
+		const normalized = normalizeText(text);
+		return normalized ? normalized.split(' ') : [];
+	}
+
+	/**
+	 * Reduce a word to a simple stem so plurals and common endings match
+	 */
+	function stem(word) {
+		if (word.length <= 3) {
+			return word;
 		}
 
-		filterFAQs('');
+		if (word.endsWith('ies') && word.length > 4) {
+			return word.slice(0, -3) + 'y';
+		}
+
+		if (/(ss|sh|ch|x|z)es$/.test(word)) {
+			return word.slice(0, -2);
+		}
+
+		if (word.endsWith('s') && !word.endsWith('ss') && !word.endsWith('us')) {
+			return word.slice(0, -1);
+		}
+
+		if (word.endsWith('ing') && word.length > 5) {
+			return word.slice(0, -3);
+		}
+
+		if (word.endsWith('ed') && word.length > 4) {
+			return word.slice(0, -2);
+		}
+
+		return word;
 	}
 
 	/**
-	 * Filter FAQ items based on search query
-	 * Works with WordPress 6.9+ core accordion block
+	 * Get the set of words, stems and joined word pairs in text
+	 * Joined pairs let "woocommerce" find "woo commerce"
 	 */
-	function filterFAQs(query) {
-		const faqItems = document.querySelectorAll('.wp-block-accordion-item');
-		const summary = document.getElementById('faq-search-results-summary');
+	function getWordSet(text) {
+		const words = tokenize(text);
+		const set = new Set();
 
-		if (!faqItems.length) {
-			return;
+		words.forEach((word, index) => {
+			set.add(word);
+			set.add(stem(word));
+
+			if (index > 0) {
+				set.add(words[index - 1] + word);
+			}
+		});
+
+		return set;
+	}
+
+	/**
+	 * Get the number of typos allowed for a word of this length
+	 * Short words get none, otherwise "host" would match "most" and "post"
+	 */
+	function getTypoAllowance(word) {
+		if (word.length < 5) {
+			return 0;
 		}
 
-		const normalizedQuery = query.toLowerCase();
-		let visibleCount = 0;
-		const totalCount = faqItems.length;
+		return word.length < 8 ? 1 : 2;
+	}
 
-		faqItems.forEach(item => {
-			const questionTitle = item.querySelector('.wp-block-accordion-heading__toggle-title');
-			const panel = item.querySelector('.wp-block-accordion-panel');
+	/**
+	 * Edit distance between two words, counting adjacent swaps as one edit
+	 * Stops early once the distance exceeds max
+	 */
+	function editDistance(a, b, max) {
+		if (Math.abs(a.length - b.length) > max) {
+			return max + 1;
+		}
 
-			if (!questionTitle) {
-				return;
+		let previousRow = null;
+		let row = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+		for (let i = 1; i <= a.length; i++) {
+			const nextRow = [i];
+			let rowMin = i;
+
+			for (let j = 1; j <= b.length; j++) {
+				const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+				let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+
+				if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+					value = Math.min(value, previousRow[j - 2] + 1);
+				}
+
+				nextRow.push(value);
+				rowMin = Math.min(rowMin, value);
 			}
 
-			if (!query) {
-				item.style.display = '';
-				item.setAttribute('aria-hidden', 'false');
-				visibleCount++;
-				return;
+			if (rowMin > max) {
+				return max + 1;
 			}
 
-			// Get text content for searching
-			const questionText = questionTitle.textContent.toLowerCase();
-			const panelText = panel ? panel.textContent.toLowerCase() : '';
+			previousRow = row;
+			row = nextRow;
+		}
 
-			// Check if query matches question or answer content
-			const matches = questionText.includes(normalizedQuery) ||
-			                panelText.includes(normalizedQuery);
+		return row[b.length];
+	}
 
-			if (matches) {
-				item.style.display = '';
-				item.setAttribute('aria-hidden', 'false');
-				visibleCount++;
-			} else {
-				item.style.display = 'none';
-				item.setAttribute('aria-hidden', 'true');
+	/**
+	 * Get the edit distance allowed for a "Did you mean" suggestion
+	 * Looser than getTypoAllowance since suggestions are only offered, not applied
+	 */
+	function getSuggestionAllowance(word) {
+		if (word.length < 3) {
+			return 0;
+		}
+
+		return Math.min(3, Math.max(1, Math.floor(word.length / 3)));
+	}
+
+	/**
+	 * Score how well a query word matches a set of words
+	 * Prefix matches are only allowed for the last word, which may still be being typed
+	 */
+	function scoreWord(word, words, allowPrefix) {
+		if (words.has(word) || words.has(stem(word))) {
+			return SCORE_EXACT;
+		}
+
+		const allowance = getTypoAllowance(word);
+		let best = 0;
+
+		for (const candidate of words) {
+			if (allowPrefix && word.length >= 3 && candidate.startsWith(word)) {
+				return SCORE_PREFIX;
 			}
-		});
 
-		// Show/hide section headings and separators based on visible FAQs
-		if (query) {
-			hideEmptySections();
-		} else {
-			showAllSections();
+			if (!best && allowance && editDistance(word, candidate, allowance) <= allowance) {
+				best = SCORE_FUZZY;
+			}
 		}
 
-		updateResultsSummary(summary, query, visibleCount, totalCount);
+		return best;
 	}
 
 	/**
-	 * Hide section headings and separators that have no visible FAQ items
+	 * Get the query words to match, dropping stop words unless nothing else is left
 	 */
-	function hideEmptySections() {
-		const headings = document.querySelectorAll('h2.wp-block-heading');
-		const separators = document.querySelectorAll('.wp-block-uagb-separator');
-
-		headings.forEach(heading => {
-			let hasVisibleFAQs = false;
-			let nextElement = heading.nextElementSibling;
-
-			// Find the next accordion block (skip text nodes and empty elements)
-			while (nextElement) {
-				if (nextElement.classList && nextElement.classList.contains('wp-block-accordion')) {
-					const faqItems = nextElement.querySelectorAll('.wp-block-accordion-item');
-					hasVisibleFAQs = Array.from(faqItems).some(item =>
-						item.style.display !== 'none' && item.getAttribute('aria-hidden') !== 'true'
-					);
-					break;
+	function getQueryWords(query) {
+		const words = tokenize(query);
+		const meaningful = words.filter(word => !STOP_WORDS.has(word));
+
+		return meaningful.length ? meaningful : words;
+	}
+
+	/**
+	 * Score an indexed FAQ item against the query words
+	 * Every query word must match the question or answer; returns 0 when one doesn't
+	 */
+	function scoreEntry(entry, words) {
+		let score = 0;
+
+		for (let i = 0; i < words.length; i++) {
+			const allowPrefix = i === words.length - 1;
+
+			// Query words typed apart ("woo commerce") may be one word in the text
+			if (i < words.length - 1) {
+				const joined = words[i] + words[i + 1];
+
+				if (entry.question.has(joined) || entry.answer.has(joined)) {
+					score += SCORE_EXACT * (entry.question.has(joined) ? QUESTION_WEIGHT : 1) * 2;
+					i++;
+					continue;
 				}
-				nextElement = nextElement.nextElementSibling;
 			}
 
-			if (hasVisibleFAQs) {
-				heading.style.display = '';
-			} else {
-				heading.style.display = 'none';
+			const wordScore = Math.max(
+				scoreWord(words[i], entry.question, allowPrefix) * QUESTION_WEIGHT,
+				scoreWord(words[i], entry.answer, allowPrefix)
+			);
+
+			if (!wordScore) {
+				return 0;
 			}
-		});
 
-		separators.forEach(separator => {
-			let nextElement = separator.nextElementSibling;
-			// Find the next H2 heading
-			while (nextElement) {
-				if (nextElement.tagName === 'H2') {
-					separator.style.display = nextElement.style.display;
-					break;
+			score += wordScore;
+		}
+
+		return score;
+	}
+
+	/**
+	 * Check if a word from the page text matches one of the query words
+	 */
+	function isMatchingWord(text, words) {
+		const wordSet = getWordSet(text);
+
+		return words.some((word, index) => scoreWord(word, wordSet, index === words.length - 1) > 0);
+	}
+
+	/**
+	 * Find the character ranges of matched words in a piece of text
+	 * Adjacent words are also tried together so "Woo Commerce" is marked for "woocommerce"
+	 */
+	function getMatchRanges(text, words) {
+		const runs = Array.from(text.matchAll(WORD_PATTERN));
+		const ranges = [];
+
+		for (let i = 0; i < runs.length; i++) {
+			const start = runs[i].index;
+			const end = start + runs[i][0].length;
+			const next = runs[i + 1];
+
+			if (isMatchingWord(runs[i][0], words)) {
+				ranges.push([start, end]);
+				continue;
+			}
+
+			if (next) {
+				const joined = normalizeText(runs[i][0] + next[0]).replace(/ /g, '');
+
+				if (words.indexOf(joined) !== -1) {
+					ranges.push([start, end], [next.index, next.index + next[0].length]);
+					i++;
 				}
-				nextElement = nextElement.nextElementSibling;
 			}
-		});
+		}
+
+		return ranges;
 	}
 
 	/**
-	 * Show all section headings and separators
+	 * Wrap matched words inside an element in <mark> elements
+	 * Returns whether anything was marked
 	 */
-	function showAllSections() {
-		const headings = document.querySelectorAll('h2.wp-block-heading');
-		const separators = document.querySelectorAll('.wp-block-uagb-separator');
+	function highlightMatches(element, words) {
+		const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+		const textNodes = [];
+		let marked = false;
+
+		while (walker.nextNode()) {
+			textNodes.push(walker.currentNode);
+		}
 
-		headings.forEach(heading => {
-			heading.style.display = '';
+		textNodes.forEach(node => {
+			const ranges = getMatchRanges(node.textContent, words);
+
+			// Split from the end so earlier offsets stay valid
+			ranges.reverse().forEach(([start, end]) => {
+				const matchNode = node.splitText(start);
+				matchNode.splitText(end - start);
+
+				const mark = document.createElement('mark');
+				mark.className = 'faq-search-highlight';
+				matchNode.parentNode.replaceChild(mark, matchNode);
+				mark.appendChild(matchNode);
+				marked = true;
+			});
 		});
 
-		separators.forEach(separator => {
-			separator.style.display = '';
+		return marked;
+	}
+
+	/**
+	 * Remove <mark> elements added by highlightMatches and merge the text back together
+	 */
+	function removeHighlights(element) {
+		element.querySelectorAll('mark.faq-search-highlight').forEach(mark => {
+			const parent = mark.parentNode;
+
+			while (mark.firstChild) {
+				parent.insertBefore(mark.firstChild, mark);
+			}
+
+			parent.removeChild(mark);
+			parent.normalize();
 		});
 	}
 
+	/**
+	 * Check if an accordion item is open
+	 */
+	function isOpen(entry) {
+		return entry.toggle && entry.toggle.getAttribute('aria-expanded') === 'true';
+	}
+
+	/**
+	 * Open or close an accordion item through its toggle so the block's own state stays in sync
+	 */
+	function setOpen(entry, open) {
+		if (entry.toggle && isOpen(entry) !== open) {
+			entry.toggle.click();
+		}
+	}
+
 	/**
 	 * Update results summary for screen readers
 	 */
-	function updateResultsSummary(summary, query, visibleCount, totalCount) {
+	function updateResultsSummary(summary, query, visibleCount, totalCount, suggestions) {
 		if (!summary) {
 			return;
 		}
@@ -261,6 +1297,10 @@
 
 		if (visibleCount === 0) {
 			message = `No results found for "${query}". Showing 0 of ${totalCount} FAQs.`;
+
+			if (suggestions && suggestions.length) {
+				message += ` Did you mean "${suggestions[0]}"?`;
+			}
 		} else if (visibleCount === totalCount) {
 			message = `Showing all ${totalCount} FAQs matching "${query}".`;
 		} else {
@@ -1,6 +1,7 @@
 /**
  * Element Highlight Script
  * Highlights elements when navigating to anchor links
+ * Scrolling is handled by scroll-to.js, which reports when the target is reached
  */
 
 function highlightElement(elementId) {
@@ -19,24 +20,9 @@ function highlightElement(elementId) {
     }
 }
 
-// Run on page load if hash exists
-if (window.location.hash) {
-    const hash = window.location.hash.substring(1);
-    highlightElement(hash);
-}
-
-// Listen for clicks on anchor links
-document.addEventListener('click', function(e) {
-    const link = e.target.closest('a[href*="#"]');
-    if (link) {
-        const href = link.getAttribute('href');
-        const hashIndex = href.indexOf('#');
-
-        if (hashIndex !== -1) {
-            const hash = href.substring(hashIndex + 1);
-            setTimeout(() => {
-                highlightElement(hash);
-            }, 300);
-        }
+// Highlight targets once scroll-to.js has scrolled to them (anchor links, a hash on load, FAQ permalinks)
+document.addEventListener('eightyfourem:scrolled-to', function(e) {
+    if (e.detail && e.detail.highlight && e.detail.id) {
+        highlightElement(e.detail.id);
     }
 });
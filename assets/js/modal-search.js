@@ -12,6 +12,59 @@
         { value: 'page', label: 'Page', color: 'page' }
     ];
 
+    // Live results: wait for a pause in typing, and need at least 2 characters
+    const LIVE_SEARCH_DELAY = 250;
+    const MIN_QUERY_LENGTH = 2;
+
+    const config = window.eightyfouremSearch || {};
+    const suggestionsConfig = window.eightyfouremSearchSuggestions || {};
+
+    // Recent searches stay in the visitor's browser
+    const RECENT_SEARCHES_KEY = 'eightyfourem_recent_searches';
+    const MAX_RECENT_SEARCHES = 5;
+
+    function getRecentSearches() {
+        try {
+            const stored = JSON.parse(window.localStorage.getItem(RECENT_SEARCHES_KEY) || '[]');
+
+            return Array.isArray(stored) ? stored.filter(function(query) {
+                return typeof query === 'string' && query.trim() !== '';
+            }).slice(0, MAX_RECENT_SEARCHES) : [];
+        } catch (e) {
+            // Storage is unavailable (private mode, blocked cookies) or holds something else
+            return [];
+        }
+    }
+
+    // Keep the newest search first, without repeating one already there
+    function saveRecentSearch(query) {
+        query = query.trim();
+
+        if (!query) {
+            return;
+        }
+
+        const recent = getRecentSearches().filter(function(item) {
+            return item.toLowerCase() !== query.toLowerCase();
+        });
+
+        recent.unshift(query);
+
+        try {
+            window.localStorage.setItem(RECENT_SEARCHES_KEY, JSON.stringify(recent.slice(0, MAX_RECENT_SEARCHES)));
+        } catch (e) {
+            // Ignore
+        }
+    }
+
+    function clearRecentSearches() {
+        try {
+            window.localStorage.removeItem(RECENT_SEARCHES_KEY);
+        } catch (e) {
+            // Ignore
+        }
+    }
+
     document.addEventListener('DOMContentLoaded', function() {
         const searchTrigger = document.querySelector('.search-icon a');
 
@@ -23,6 +76,19 @@
         searchTrigger.setAttribute('aria-haspopup', 'dialog');
         searchTrigger.setAttribute('aria-expanded', 'false');
 
+        // Let other scripts open the modal with a query filled in (e.g. the FAQ search empty state)
+        window.openSearchModal = function(query) {
+            if (!document.getElementById('searchModal')) {
+                searchTrigger.click();
+            }
+
+            const input = document.querySelector('#searchModal .search-modal-input');
+            if (input && query) {
+                input.value = query;
+                input.dispatchEvent(new Event('input'));
+            }
+        };
+
         searchTrigger.addEventListener('click', function(e) {
             e.preventDefault();
             e.stopPropagation();
@@ -65,10 +131,15 @@
                         </fieldset>
                         <div class="search-modal-form-wrapper">
                             <label for="searchModalInput" class="search-modal-label">Search for:</label>
-                            <input type="search" id="searchModalInput" name="s" class="search-modal-input" placeholder="Search..." required />
+                            <input type="search" id="searchModalInput" name="s" class="search-modal-input" placeholder="Search..." required
+                                role="combobox" aria-autocomplete="list" aria-expanded="false" aria-controls="searchModalResults" autocomplete="off" />
                             <button type="submit" class="search-modal-submit">Search</button>
                         </div>
+                        <p class="search-modal-corrected" hidden></p>
+                        <div id="searchModalResults" class="search-modal-results" role="listbox" aria-label="Search results" hidden></div>
+                        <p class="search-modal-results__empty" hidden>No matches yet. Press Enter to search the whole site.</p>
                     </form>
+                    <div class="search-modal-suggestions" hidden></div>
                 </div>
             `;
 
@@ -79,29 +150,340 @@
             modal.innerHTML = modalHTML;
             document.body.appendChild(modal);
 
+            const input = modal.querySelector('.search-modal-input');
+            const resultsList = modal.querySelector('.search-modal-results');
+            const corrected = modal.querySelector('.search-modal-corrected');
+            const noResults = modal.querySelector('.search-modal-results__empty');
+            const suggestions = modal.querySelector('.search-modal-suggestions');
+            const announcer = modal.querySelector('.search-modal-announcer');
+            let liveSearchTimeout;
+            let liveSearchController = null;
+            let activeIndex = -1;
+
             // Announce modal opening and focus input after animation starts
             setTimeout(function() {
-                const announcer = modal.querySelector('.search-modal-announcer');
-                if (announcer) {
-                    announcer.textContent = 'Search dialog opened. Type your search query and press enter to search.';
-                }
+                announcer.textContent = 'Search dialog opened. Results appear as you type, or press enter to search.';
+                input.focus();
+            }, 100);
+
+            // Get all focusable elements in modal for focus trap
+            // Looked up on each Tab, since results and suggestions come and go
+            function getFocusableElements() {
+                return Array.from(modal.querySelectorAll(
+                    'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
+                )).filter(function(element) {
+                    return element.tabIndex !== -1 && !element.closest('[hidden]');
+                });
+            }
+
+            // Build one group of suggestions with a heading
+            function buildSuggestionGroup(className, title, items) {
+                const group = document.createElement('div');
+                group.className = 'search-modal-suggestions__group search-modal-suggestions__group--' + className;
+
+                const heading = document.createElement('h3');
+                heading.className = 'search-modal-suggestions__heading';
+                heading.textContent = title;
+                group.appendChild(heading);
+
+                const list = document.createElement('ul');
+                list.className = 'search-modal-suggestions__list';
+                items.forEach(function(item) {
+                    const li = document.createElement('li');
+                    li.appendChild(item);
+                    list.appendChild(li);
+                });
+                group.appendChild(list);
+
+                return group;
+            }
 
-                const input = modal.querySelector('.search-modal-input');
-                if (input) {
+            // A suggested search fills the input and runs the live search with the selected types
+            function buildSearchSuggestion(query) {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'search-modal-suggestion';
+                button.textContent = query;
+                button.addEventListener('click', function() {
+                    input.value = query;
                     input.focus();
+                    updateSuggestions();
+                    clearTimeout(liveSearchTimeout);
+                    runLiveSearch();
+                });
+
+                return button;
+            }
+
+            // Recent searches, popular searches and quick links, shown while the input is empty
+            // The popular searches and quick links come from Settings > Search Suggestions (includes/search-suggestions.php)
+            function renderSuggestions() {
+                const recent = getRecentSearches();
+                const popular = (suggestionsConfig.popular || []).filter(function(query) {
+                    return recent.indexOf(query) === -1;
+                });
+                const quickLinks = suggestionsConfig.quickLinks || [];
+
+                suggestions.textContent = '';
+
+                if (recent.length) {
+                    const group = buildSuggestionGroup('recent', 'Recent searches', recent.map(buildSearchSuggestion));
+
+                    const clearButton = document.createElement('button');
+                    clearButton.type = 'button';
+                    clearButton.className = 'search-modal-suggestions__clear';
+                    clearButton.textContent = 'Clear';
+                    clearButton.setAttribute('aria-label', 'Clear recent searches');
+                    clearButton.addEventListener('click', function() {
+                        clearRecentSearches();
+                        renderSuggestions();
+                        updateSuggestions();
+                        announcer.textContent = 'Recent searches cleared';
+                        input.focus();
+                    });
+                    group.querySelector('.search-modal-suggestions__heading').appendChild(clearButton);
+
+                    suggestions.appendChild(group);
                 }
-            }, 100);
 
-            // Get all focusable elements in modal for focus trap
-            const focusableElements = modal.querySelectorAll(
-                'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
-            );
-            const firstFocusable = focusableElements[0];
-            const lastFocusable = focusableElements[focusableElements.length - 1];
+                if (popular.length) {
+                    suggestions.appendChild(buildSuggestionGroup('popular', 'Popular searches', popular.map(buildSearchSuggestion)));
+                }
+
+                if (quickLinks.length) {
+                    suggestions.appendChild(buildSuggestionGroup('links', 'Quick links', quickLinks.map(function(quickLink) {
+                        const link = document.createElement('a');
+                        link.className = 'search-modal-quick-link';
+                        link.href = quickLink.url;
+                        link.textContent = quickLink.label;
+
+                        return link;
+                    })));
+                }
+            }
+
+            // Suggestions make way for the live results once a query is typed
+            function updateSuggestions() {
+                suggestions.hidden = !suggestions.children.length || input.value.trim().length >= MIN_QUERY_LENGTH;
+            }
+
+            renderSuggestions();
+            updateSuggestions();
+
+            // Selected types, or none when all are selected so results aren't filtered
+            function getSelectedTypes() {
+                const checked = Array.from(modal.querySelectorAll('input[name="type[]"]:checked')).map(function(cb) {
+                    return cb.value;
+                });
+
+                return checked.length === typeFilters.length ? [] : checked;
+            }
+
+            function getOptions() {
+                return Array.from(resultsList.querySelectorAll('[role="option"]'));
+            }
+
+            // Highlight a result while focus stays in the input
+            function setActiveOption(index) {
+                const options = getOptions();
+
+                activeIndex = index;
+
+                options.forEach(function(option, i) {
+                    option.classList.toggle('is-active', i === index);
+                    option.setAttribute('aria-selected', i === index ? 'true' : 'false');
+                });
+
+                if (options[index]) {
+                    input.setAttribute('aria-activedescendant', options[index].id);
+                    options[index].scrollIntoView({ block: 'nearest' });
+                } else {
+                    input.removeAttribute('aria-activedescendant');
+                }
+            }
+
+            function hideResults() {
+                resultsList.hidden = true;
+                resultsList.textContent = '';
+                corrected.hidden = true;
+                noResults.hidden = true;
+                input.setAttribute('aria-expanded', 'false');
+                setActiveOption(-1);
+            }
+
+            // Group results by type in the order of the type filters, each under a coloured badge
+            function renderResults(query, data) {
+                const results = data.results || [];
+
+                resultsList.textContent = '';
+                setActiveOption(-1);
+
+                if (data.corrected) {
+                    corrected.textContent = 'Showing results for ' + data.corrected;
+                    corrected.hidden = false;
+                } else {
+                    corrected.hidden = true;
+                }
+
+                noResults.hidden = results.length > 0;
+
+                if (!results.length) {
+                    resultsList.hidden = true;
+                    input.setAttribute('aria-expanded', 'false');
+                    announcer.textContent = 'No results for ' + query;
+                    return;
+                }
+
+                let optionIndex = 0;
+
+                typeFilters.forEach(function(filter) {
+                    const matches = results.filter(function(result) {
+                        return result.type === filter.label;
+                    });
+
+                    if (!matches.length) {
+                        return;
+                    }
+
+                    const group = document.createElement('div');
+                    group.className = 'search-modal-results__group';
+                    group.setAttribute('role', 'group');
+                    group.setAttribute('aria-labelledby', 'searchModalGroup-' + filter.color);
+
+                    const badge = document.createElement('span');
+                    badge.id = 'searchModalGroup-' + filter.color;
+                    badge.className = 'search-modal-results__badge search-modal-results__badge--' + filter.color;
+                    badge.textContent = filter.label;
+                    group.appendChild(badge);
+
+                    matches.forEach(function(result) {
+                        const option = document.createElement('a');
+                        option.id = 'searchModalResult-' + optionIndex;
+                        option.className = 'search-modal-result';
+                        option.href = result.url;
+                        option.tabIndex = -1;
+                        option.setAttribute('role', 'option');
+                        option.setAttribute('aria-selected', 'false');
+                        option.textContent = result.title;
+                        option.dataset.index = optionIndex;
+                        group.appendChild(option);
+                        optionIndex++;
+                    });
+
+                    resultsList.appendChild(group);
+                });
+
+                resultsList.hidden = false;
+                input.setAttribute('aria-expanded', 'true');
+                announcer.textContent = results.length + (results.length === 1 ? ' result' : ' results') + ' available. Use the up and down arrows to review them.';
+            }
+
+            // Fetch live results from the eightyfourem/v1/search endpoint (includes/search.php)
+            function runLiveSearch() {
+                const query = input.value.trim();
+
+                if (liveSearchController) {
+                    liveSearchController.abort();
+                    liveSearchController = null;
+                }
+
+                if (!config.endpoint || query.length < MIN_QUERY_LENGTH) {
+                    hideResults();
+                    return;
+                }
+
+                const url = new URL(config.endpoint, window.location.href);
+                url.searchParams.set('s', query);
+                getSelectedTypes().forEach(function(type) {
+                    url.searchParams.append('type[]', type);
+                });
+
+                liveSearchController = new AbortController();
+
+                fetch(url.toString(), { signal: liveSearchController.signal, headers: { Accept: 'application/json' } })
+                    .then(function(response) {
+                        if (!response.ok) {
+                            throw new Error('Search request failed: ' + response.status);
+                        }
+
+                        return response.json();
+                    })
+                    .then(function(data) {
+                        // Ignore results for a query that has changed since
+                        if (input.value.trim() === query) {
+                            renderResults(query, data);
+                        }
+                    })
+                    .catch(function(error) {
+                        // Submitting the form still works, so leave the results out
+                        if (error.name !== 'AbortError') {
+                            hideResults();
+                        }
+                    });
+            }
+
+            function scheduleLiveSearch() {
+                clearTimeout(liveSearchTimeout);
+                liveSearchTimeout = setTimeout(runLiveSearch, LIVE_SEARCH_DELAY);
+            }
+
+            // Arrow keys move through the results, Enter opens the highlighted one
+            function handleResultsKeydown(e) {
+                const options = getOptions();
+
+                if (resultsList.hidden || !options.length) {
+                    return;
+                }
+
+                switch (e.key) {
+                    case 'ArrowDown':
+                        e.preventDefault();
+                        setActiveOption(activeIndex < options.length - 1 ? activeIndex + 1 : 0);
+                        break;
+                    case 'ArrowUp':
+                        e.preventDefault();
+                        setActiveOption(activeIndex > 0 ? activeIndex - 1 : options.length - 1);
+                        break;
+                    case 'Enter':
+                        if (options[activeIndex]) {
+                            e.preventDefault();
+                            options[activeIndex].click();
+                        }
+                        break;
+                }
+            }
+
+            input.addEventListener('input', scheduleLiveSearch);
+            input.addEventListener('input', updateSuggestions);
+            input.addEventListener('keydown', handleResultsKeydown);
+
+            modal.querySelectorAll('input[name="type[]"]').forEach(function(cb) {
+                cb.addEventListener('change', runLiveSearch);
+            });
+
+            // Opening a result counts as a search too
+            resultsList.addEventListener('click', function(e) {
+                if (e.target.closest('[role="option"]')) {
+                    saveRecentSearch(input.value);
+                }
+            });
+
+            resultsList.addEventListener('mousemove', function(e) {
+                const option = e.target.closest('[role="option"]');
+
+                if (option && Number(option.dataset.index) !== activeIndex) {
+                    setActiveOption(Number(option.dataset.index));
+                }
+            });
 
             // Close modal function
             function closeModal() {
                 modal.classList.add('closing');
+                clearTimeout(liveSearchTimeout);
+
+                if (liveSearchController) {
+                    liveSearchController.abort();
+                }
 
                 // Update ARIA expanded state
                 searchTrigger.setAttribute('aria-expanded', 'false');
@@ -133,6 +515,10 @@
                     return;
                 }
 
+                const focusableElements = getFocusableElements();
+                const firstFocusable = focusableElements[0];
+                const lastFocusable = focusableElements[focusableElements.length - 1];
+
                 // Shift + Tab (backwards)
                 if (e.shiftKey) {
                     if (document.activeElement === firstFocusable) {
@@ -161,6 +547,18 @@
                 const checkboxes = modal.querySelectorAll('input[name="type[]"]');
                 const checkedBoxes = modal.querySelectorAll('input[name="type[]"]:checked');
 
+                // Report the search to the analytics dispatcher (assets/js/analytics.js)
+                if (typeof window.eightyfouremTrack === 'function') {
+                    window.eightyfouremTrack('site_search', {
+                        query: input.value,
+                        types: Array.from(checkedBoxes).map(function(cb) {
+                            return cb.value;
+                        }).join(',')
+                    });
+                }
+
+                saveRecentSearch(input.value);
+
                 if (checkedBoxes.length === typeFilters.length) {
                     checkboxes.forEach(function(cb) {
                         cb.checked = false;
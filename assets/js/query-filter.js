@@ -0,0 +1,1077 @@
+/**
+ * Query Filter
+ * Reusable client-side filtering for Query Loop posts
+ *
+ * @package EightyFourEM
+ */
+
+(function () {
+	'use strict';
+
+	const SEARCH_DEBOUNCE_DELAY = 300;
+	const DEFAULT_BATCH_SIZE = 12;
+	const DEFAULT_SCROLL_OFFSET = 20;
+
+	// URL parameters that hold filter state (industry is the query string alias for filter)
+	const STATE_PARAMS = ['filter', 'industry', 'mode', 'q', 'sort'];
+
+	document.addEventListener('DOMContentLoaded', function () {
+		document.querySelectorAll('[data-query-filter]').forEach(createQueryFilter);
+	});
+
+	/**
+	 * Set up filtering for one [data-query-filter] bar rendered by includes/query-filter.php
+	 *
+	 * Filter bar data attributes:
+	 * - data-filters: JSON map of filter keys to keywords
+	 * - data-target: selector for the Query Loop to filter (defaults to the
+	 *   .query-filter-{set} Query Loop, then every .wp-block-post on the page)
+	 * - data-item-selector: selector for items within the target (.wp-block-post)
+	 * - data-counter: selector for an external result counter
+	 * - data-scroll-offset: extra space left above the first result when scrolling
+	 * - data-label-singular / data-label-plural: item names used in messages
+	 * - data-batch-size: number of items shown per "Show more" batch
+	 * - data-url-state: "false" to keep the state out of the URL
+	 */
+	function createQueryFilter(root) {
+		const filters = parseFilters(root);
+		const filterButtons = root.querySelectorAll('[data-filter]');
+		const modeButtons = root.querySelectorAll('[data-filter-mode]');
+		const items = getItems(root);
+		const resultCounter = root.dataset.counter
+			? document.querySelector(root.dataset.counter)
+			: root.querySelector('[data-filter-counter]');
+		const activeFiltersContainer = root.querySelector('[data-filter-chips]');
+		const searchInput = root.querySelector('[data-filter-search]');
+		const sortSelect = root.querySelector('[data-filter-sort]');
+		const defaultSort = sortSelect && sortSelect.options.length ? sortSelect.options[0].value : 'featured';
+		const batchSize = parseInt(root.dataset.batchSize, 10) || DEFAULT_BATCH_SIZE;
+		const scrollOffset = root.dataset.scrollOffset !== undefined
+			? parseInt(root.dataset.scrollOffset, 10) || 0
+			: DEFAULT_SCROLL_OFFSET;
+		const labelSingular = root.dataset.labelSingular || 'result';
+		const labelPlural = root.dataset.labelPlural || 'results';
+		const syncUrl = root.dataset.urlState !== 'false';
+		const totalItems = items.length;
+
+		// Current filter state: selected filter keys, how to combine them, the search query and sort order
+		const state = {
+			filters: [],
+			mode: 'or',
+			query: '',
+			sort: defaultSort,
+			limit: batchSize
+		};
+
+		// Track if animations have been initialized (only init after first filter click)
+		let animationsInitialized = false;
+		let searchTimeout;
+		let emptyState = null;
+		let loadMore = null;
+
+		// Filter key of the button holding the toolbar's tab stop
+		let tabStopFilter = null;
+
+		if (!filterButtons.length || !items.length) return;
+
+		// Announce result changes to screen readers (external counters aren't rendered with these)
+		if (resultCounter) {
+			resultCounter.setAttribute('role', 'status');
+			resultCounter.setAttribute('aria-live', 'polite');
+			resultCounter.setAttribute('aria-atomic', 'true');
+		}
+
+		// Searchable text (title + excerpt), filter categories and sort data for each item, read once
+		const itemTexts = new Map();
+		const itemCategories = new Map();
+		const itemTitles = new Map();
+		const itemDates = new Map();
+		const itemIndexes = new Map();
+		let orderedItems = Array.from(items);
+		items.forEach(function (item, index) {
+			const title =
+				item.querySelector('.wp-block-post-title')?.textContent.toLowerCase() || '';
+			const excerpt =
+				item.querySelector('.wp-block-post-excerpt')?.textContent.toLowerCase() || '';
+			const searchText = title + ' ' + excerpt;
+
+			itemTexts.set(item, searchText);
+			itemCategories.set(item, getItemCategories(item, searchText, filters));
+			itemTitles.set(item, title.trim());
+			itemDates.set(item, getItemDate(item));
+			itemIndexes.set(item, index);
+		});
+
+		// Function to update result counter
+		function updateCounter(visibleCount) {
+			if (resultCounter) {
+				let message;
+
+				if (visibleCount === totalItems) {
+					message = 'Showing all ' + totalItems + ' ' + labelPlural;
+				} else {
+					message = 'Showing ' + visibleCount + ' of ' + totalItems + ' ' + labelPlural;
+				}
+
+				if (state.query) {
+					message += ' matching "' + state.query + '"';
+				}
+
+				resultCounter.textContent = message;
+				resultCounter.classList.add('is-visible');
+			}
+		}
+
+		// Get the button label for a filter key
+		function getFilterLabel(filter) {
+			const button = Array.from(filterButtons).find(function (btn) {
+				return btn.dataset.filter === filter;
+			});
+
+			if (!button) {
+				return filter;
+			}
+
+			const label = button.querySelector('[data-filter-label]') || button;
+			return label.textContent.trim();
+		}
+
+		// Check if a filter key has a matching button
+		function isKnownFilter(filter) {
+			return filter !== 'all' && Array.from(filterButtons).some(function (btn) {
+				return btn.dataset.filter === filter;
+			});
+		}
+
+		// Check if a single filter matches the item's categories
+		function matchesFilter(item, filter) {
+			return itemCategories.get(item).indexOf(filter) !== -1;
+		}
+
+		// Check if every word of the search query appears in the item text
+		function matchesQuery(searchText) {
+			if (!state.query) {
+				return true;
+			}
+
+			return state.query.toLowerCase().split(/\s+/).every(function (word) {
+				return searchText.includes(word);
+			});
+		}
+
+		// Check if an item matches the current filter state and search query
+		function itemMatches(item) {
+			const searchText = itemTexts.get(item) || '';
+
+			if (!matchesQuery(searchText)) {
+				return false;
+			}
+
+			if (!state.filters.length) {
+				return true;
+			}
+
+			if (state.mode === 'and') {
+				return state.filters.every(function (filter) {
+					return matchesFilter(item, filter);
+				});
+			}
+
+			return state.filters.some(function (filter) {
+				return matchesFilter(item, filter);
+			});
+		}
+
+		// Score an item by how many active filter keywords and search words it contains
+		function getRelevance(item) {
+			const searchText = itemTexts.get(item) || '';
+			let score = 0;
+
+			state.filters.forEach(function (filter) {
+				(filters[filter] || []).forEach(function (keyword) {
+					score += countKeywordHits(searchText, keyword);
+				});
+			});
+
+			if (state.query) {
+				state.query.toLowerCase().split(/\s+/).forEach(function (word) {
+					score += searchText.split(word).length - 1;
+				});
+			}
+
+			return score;
+		}
+
+		// Compare two items by publish date, newest first, keeping server order for ties
+		function compareNewest(a, b) {
+			return (itemDates.get(b) - itemDates.get(a)) || (itemIndexes.get(a) - itemIndexes.get(b));
+		}
+
+		// Reorder the grid in place according to the current sort
+		function sortItems() {
+			let compare;
+
+			if (state.sort === 'oldest') {
+				compare = function (a, b) {
+					return (itemDates.get(a) - itemDates.get(b)) || (itemIndexes.get(a) - itemIndexes.get(b));
+				};
+			} else if (state.sort === 'title') {
+				compare = function (a, b) {
+					return itemTitles.get(a).localeCompare(itemTitles.get(b)) || (itemIndexes.get(a) - itemIndexes.get(b));
+				};
+			} else if (state.sort === 'relevance') {
+				const scores = new Map();
+				orderedItems.forEach(function (item) {
+					scores.set(item, getRelevance(item));
+				});
+
+				compare = function (a, b) {
+					return (scores.get(b) - scores.get(a)) || compareNewest(a, b);
+				};
+			} else if (state.sort === 'newest') {
+				compare = compareNewest;
+			} else {
+				// Featured: the order the Query Loop is set to in the editor
+				compare = function (a, b) {
+					return itemIndexes.get(a) - itemIndexes.get(b);
+				};
+			}
+
+			const sorted = orderedItems.slice().sort(compare);
+
+			// Leave the grid alone when the order hasn't changed (e.g. the default sort on load)
+			if (sorted.every(function (item, index) {
+				return item === orderedItems[index];
+			})) {
+				return;
+			}
+
+			orderedItems = sorted;
+
+			// Re-appending moves each item to the end of its grid, producing the sorted order
+			orderedItems.forEach(function (item) {
+				item.parentNode.appendChild(item);
+			});
+		}
+
+		// Render removable chips for each active filter
+		function renderActiveFilters() {
+			if (!activeFiltersContainer) {
+				return;
+			}
+
+			activeFiltersContainer.innerHTML = '';
+			activeFiltersContainer.hidden = !state.filters.length;
+
+			state.filters.forEach(function (filter) {
+				const chip = document.createElement('button');
+				chip.type = 'button';
+				chip.className = 'query-filter__chip';
+				chip.dataset.removeFilter = filter;
+				chip.setAttribute('aria-label', 'Remove filter: ' + getFilterLabel(filter));
+				chip.textContent = getFilterLabel(filter);
+
+				const icon = document.createElement('span');
+				icon.className = 'query-filter__chip-remove';
+				icon.setAttribute('aria-hidden', 'true');
+				icon.innerHTML = '&times;';
+				chip.appendChild(icon);
+
+				activeFiltersContainer.appendChild(chip);
+			});
+		}
+
+		// Count items matching each filter on its own (within the current search)
+		function getFilterCounts() {
+			const counts = { all: 0 };
+
+			items.forEach(function (item) {
+				const searchText = itemTexts.get(item) || '';
+
+				if (!matchesQuery(searchText)) {
+					return;
+				}
+
+				counts.all++;
+
+				itemCategories.get(item).forEach(function (filter) {
+					counts[filter] = (counts[filter] || 0) + 1;
+				});
+			});
+
+			return counts;
+		}
+
+		// Update button states and per-filter counts to reflect the current filter state
+		function updateButtons() {
+			const counts = getFilterCounts();
+
+			filterButtons.forEach(function (btn) {
+				const filter = btn.dataset.filter;
+				const count = counts[filter] || 0;
+				const isActive = filter === 'all'
+					? !state.filters.length
+					: state.filters.indexOf(filter) !== -1;
+
+				btn.classList.toggle('is-active', isActive);
+				btn.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+
+				// Disable filters with no matches, but keep active ones removable
+				btn.disabled = filter !== 'all' && count === 0 && !isActive;
+
+				const countElement = btn.querySelector('[data-filter-count]');
+				if (countElement) {
+					countElement.textContent = '(' + count + ')';
+				}
+
+				btn.setAttribute('aria-label', getFilterLabel(filter) + ', ' + count + (count === 1 ? ' ' + labelSingular : ' ' + labelPlural));
+			});
+
+			modeButtons.forEach(function (btn) {
+				const isActive = btn.dataset.filterMode === state.mode;
+				btn.classList.toggle('is-active', isActive);
+				btn.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+			});
+
+			updateTabStop();
+
+			if (sortSelect) {
+				sortSelect.value = state.sort;
+			}
+		}
+
+		// Get the filter buttons that can receive focus
+		function getEnabledButtons() {
+			return Array.from(filterButtons).filter(function (btn) {
+				return !btn.disabled;
+			});
+		}
+
+		// Get the filter button holding the tab stop
+		// Falls back to the first active button when the previous one was disabled
+		function getTabStop() {
+			const enabled = getEnabledButtons();
+
+			return enabled.find(function (btn) {
+				return btn.dataset.filter === tabStopFilter;
+			}) || enabled.find(function (btn) {
+				return btn.classList.contains('is-active');
+			}) || enabled[0];
+		}
+
+		// Roving tabindex: only one filter button is reachable with Tab
+		function updateTabStop() {
+			const tabStop = getTabStop();
+
+			filterButtons.forEach(function (btn) {
+				btn.tabIndex = btn === tabStop ? 0 : -1;
+			});
+		}
+
+		// Move focus between filter buttons with the arrow keys, Home and End
+		function handleButtonKeydown(e) {
+			const enabled = getEnabledButtons();
+			const index = enabled.indexOf(e.currentTarget);
+			let next;
+
+			switch (e.key) {
+				case 'ArrowRight':
+				case 'ArrowDown':
+					next = enabled[(index + 1) % enabled.length];
+					break;
+				case 'ArrowLeft':
+				case 'ArrowUp':
+					next = enabled[(index - 1 + enabled.length) % enabled.length];
+					break;
+				case 'Home':
+					next = enabled[0];
+					break;
+				case 'End':
+					next = enabled[enabled.length - 1];
+					break;
+				default:
+					return;
+			}
+
+			e.preventDefault();
+
+			if (next) {
+				next.focus();
+			}
+		}
+
+		// Focus a chip after one is removed, or the filter buttons once none are left
+		// preventScroll keeps the focus change from interrupting the scroll to the results
+		function focusChipAt(index) {
+			const chips = activeFiltersContainer.querySelectorAll('[data-remove-filter]');
+			const target = chips[Math.min(index, chips.length - 1)] || getTabStop();
+
+			if (target) {
+				target.focus({ preventScroll: true });
+			}
+		}
+
+		// Report the current state to the analytics dispatcher (assets/js/analytics.js)
+		function trackState(name) {
+			if (typeof window.eightyfouremTrack === 'function') {
+				window.eightyfouremTrack(name, getTrackData(name));
+			}
+		}
+
+		// Report the search once the visitor pauses on it, or cancel the pending report when it's cleared
+		function trackSearch() {
+			if (typeof window.eightyfouremTrackSettled === 'function') {
+				window.eightyfouremTrackSettled(
+					'filter_search:' + root.dataset.queryFilter,
+					state.query ? 'filter_search' : null,
+					getTrackData('filter_search')
+				);
+			}
+		}
+
+		// Analytics data describing the current state
+		function getTrackData(name) {
+			const data = {
+				set: root.dataset.queryFilter,
+				results: orderedItems.filter(itemMatches).length
+			};
+
+			if (name === 'filter_search') {
+				data.query = state.query;
+			} else {
+				data.filters = state.filters.length ? state.filters.slice().sort().join(',') : 'all';
+				data.mode = state.mode;
+				data.sort = state.sort;
+			}
+
+			return data;
+		}
+
+		// Serialize the current state as hash parameters
+		function getStateParams() {
+			const params = [];
+
+			if (state.filters.length) {
+				params.push('filter=' + state.filters.join(','));
+
+				if (state.mode === 'and') {
+					params.push('mode=and');
+				}
+			}
+
+			if (state.query) {
+				params.push('q=' + encodeURIComponent(state.query));
+			}
+
+			if (state.sort !== defaultSort) {
+				params.push('sort=' + state.sort);
+			}
+
+			return params.join('&');
+		}
+
+		// Update URL hash for shareability
+		// Pushes a history entry unless replace is true (used while typing a search)
+		function updateUrl(replace) {
+			if (!syncUrl) {
+				return;
+			}
+
+			const hash = getStateParams();
+
+			// Drop filter parameters from the query string, the hash now holds the state
+			const search = new URLSearchParams(window.location.search);
+			STATE_PARAMS.forEach(function (param) {
+				search.delete(param);
+			});
+
+			const queryString = search.toString();
+			const url = window.location.pathname +
+				(queryString ? '?' + queryString : '') +
+				(hash ? '#' + hash : ''); // Remove hash when no filters, search or sort are active
+
+			if (url === window.location.pathname + window.location.search + window.location.hash) {
+				return;
+			}
+
+			if (replace) {
+				history.replaceState(null, null, url);
+			} else {
+				history.pushState(null, null, url);
+			}
+		}
+
+		// Show or hide the empty state with a reset action
+		function updateEmptyState(visibleCount) {
+			if (visibleCount > 0) {
+				if (emptyState) {
+					emptyState.hidden = true;
+				}
+				return;
+			}
+
+			if (!emptyState) {
+				emptyState = document.createElement('div');
+				emptyState.className = 'query-filter-empty';
+
+				const message = document.createElement('p');
+				message.className = 'query-filter-empty__message';
+				message.textContent = 'No ' + labelPlural + ' match your filters or search.';
+
+				const resetButton = document.createElement('button');
+				resetButton.type = 'button';
+				resetButton.className = 'query-filter-empty__reset';
+				resetButton.textContent = 'Reset filters';
+				resetButton.addEventListener('click', resetFilters);
+
+				emptyState.appendChild(message);
+				emptyState.appendChild(resetButton);
+
+				// Place the empty state after the grid so it shows where the results would be
+				const grid = items[0].parentNode;
+				grid.parentNode.insertBefore(emptyState, grid.nextSibling);
+			}
+
+			emptyState.hidden = false;
+		}
+
+		// Create the "Show more" button and its status message after the grid
+		function createLoadMore() {
+			const container = document.createElement('div');
+			container.className = 'query-filter-load-more';
+			container.hidden = true;
+
+			const status = document.createElement('p');
+			status.className = 'query-filter-load-more__status';
+			status.setAttribute('role', 'status');
+			status.setAttribute('aria-live', 'polite');
+
+			const button = document.createElement('button');
+			button.type = 'button';
+			button.className = 'query-filter-load-more__button';
+			button.textContent = 'Show more';
+			button.addEventListener('click', showMore);
+
+			container.appendChild(status);
+			container.appendChild(button);
+
+			const grid = items[0].parentNode;
+			grid.parentNode.insertBefore(container, grid.nextSibling);
+
+			return container;
+		}
+
+		// Update the "Show more" button and status for the current page
+		function updateLoadMore(shownCount, matchedCount) {
+			if (!loadMore) {
+				loadMore = createLoadMore();
+			}
+
+			const remaining = matchedCount - shownCount;
+			const button = loadMore.querySelector('.query-filter-load-more__button');
+
+			// Keep the status visible once paging has started so the final batch is announced
+			loadMore.hidden = matchedCount <= batchSize;
+			button.hidden = remaining <= 0;
+			loadMore.querySelector('.query-filter-load-more__status').textContent =
+				'Displaying ' + shownCount + ' of ' + matchedCount + ' matching ' + labelPlural;
+			button.textContent = 'Show ' + Math.min(batchSize, remaining) + ' more';
+		}
+
+		// Show matching items up to the current limit and hide the rest
+		function renderItems() {
+			let matchedCount = 0;
+			let shownCount = 0;
+
+			orderedItems.forEach(function (item) {
+				if (!itemMatches(item)) {
+					item.style.display = 'none';
+					item.classList.add('filtered-out');
+					return;
+				}
+
+				matchedCount++;
+				item.classList.remove('filtered-out');
+
+				if (matchedCount <= state.limit) {
+					item.style.display = '';
+					shownCount++;
+				} else {
+					item.style.display = 'none';
+				}
+			});
+
+			return { matched: matchedCount, shown: shownCount };
+		}
+
+		// Reveal the next batch of matching items
+		function showMore() {
+			const previouslyShown = orderedItems.filter(function (item) {
+				return item.style.display !== 'none';
+			});
+
+			state.limit += batchSize;
+			const counts = renderItems();
+
+			const revealed = orderedItems.filter(function (item) {
+				return item.style.display !== 'none' && previouslyShown.indexOf(item) === -1;
+			});
+
+			// Animate the new cards in
+			ensureAnimations();
+			revealed.forEach(function (item) {
+				item.classList.remove('lazy-visible');
+				void item.offsetWidth; // Force reflow so the fade-in transition runs
+			});
+			initLazyLoadAnimations(revealed);
+
+			updateLoadMore(counts.shown, counts.matched);
+
+			// Move keyboard focus to the first newly revealed item
+			const firstLink = revealed.length ? revealed[0].querySelector('a') : null;
+			if (firstLink) {
+				firstLink.focus();
+			}
+		}
+
+		// Function to apply the current filter state
+		function applyFilter(shouldScroll) {
+			// Default to scrolling if not specified
+			if (shouldScroll === undefined) {
+				shouldScroll = true;
+			}
+
+			// Any change to filters, search or sort starts again from the first batch
+			state.limit = batchSize;
+
+			updateButtons();
+			renderActiveFilters();
+
+			// Add brief loading state
+			if (resultCounter) {
+				resultCounter.classList.add('is-filtering');
+			}
+
+			// Small delay to show filtering state
+			setTimeout(function () {
+				sortItems();
+
+				// Filter items
+				const counts = renderItems();
+
+				// Update counter, empty state and "Show more" button
+				updateCounter(counts.matched);
+				updateEmptyState(counts.matched);
+				updateLoadMore(counts.shown, counts.matched);
+
+				// Remove filtering state
+				if (resultCounter) {
+					resultCounter.classList.remove('is-filtering');
+				}
+
+				// Scroll to first visible item after filtering completes (only if shouldScroll is true)
+				if (shouldScroll) {
+					const firstVisibleItem = orderedItems.find(function(item) {
+						return item.style.display !== 'none';
+					});
+
+					if (firstVisibleItem && typeof window.scrollToTarget === 'function') {
+						// Wait for DOM to update, then scroll below the header and this filter bar (scroll-to.js)
+						// Focus stays on the filter controls
+						setTimeout(function() {
+							window.scrollToTarget(firstVisibleItem, {
+								offset: scrollOffset,
+								focus: false,
+								highlight: false
+							});
+						}, 100);
+					}
+				}
+			}, 50);
+		}
+
+		// Initialize animations on first interaction (not on page load)
+		function ensureAnimations() {
+			if (!animationsInitialized) {
+				initLazyLoadAnimations(items);
+				animationsInitialized = true;
+			}
+		}
+
+		// Apply a state change triggered by the user
+		function commitChange() {
+			ensureAnimations();
+			updateUrl();
+			applyFilter();
+			trackState('filter_change');
+		}
+
+		// Clear all filters and the search query
+		function resetFilters() {
+			state.filters = [];
+			state.mode = 'or';
+			state.query = '';
+			state.sort = defaultSort;
+
+			if (searchInput) {
+				searchInput.value = '';
+			}
+
+			updateUrl();
+			applyFilter(false);
+			trackSearch();
+			trackState('filter_change');
+
+			// The reset button is about to be hidden, so keep focus in the filter bar
+			(searchInput || filterButtons[0]).focus();
+		}
+
+		// Add click handlers to filter buttons (toggle on/off, "All" clears)
+		filterButtons.forEach(function (button) {
+			button.addEventListener('keydown', handleButtonKeydown);
+
+			// The last focused button keeps the tab stop
+			button.addEventListener('focus', function () {
+				tabStopFilter = this.dataset.filter;
+				updateTabStop();
+			});
+
+			button.addEventListener('click', function (e) {
+				e.preventDefault();
+
+				const filter = this.dataset.filter;
+
+				if (filter === 'all') {
+					state.filters = [];
+				} else {
+					const index = state.filters.indexOf(filter);
+					if (index === -1) {
+						state.filters.push(filter);
+					} else {
+						state.filters.splice(index, 1);
+					}
+				}
+
+				commitChange();
+			});
+		});
+
+		// Add click handlers to AND/OR mode buttons
+		modeButtons.forEach(function (button) {
+			button.addEventListener('click', function (e) {
+				e.preventDefault();
+
+				const mode = this.dataset.filterMode === 'and' ? 'and' : 'or';
+				if (mode === state.mode) {
+					return;
+				}
+
+				state.mode = mode;
+
+				// Mode only changes results when more than one filter is active
+				if (state.filters.length > 1) {
+					commitChange();
+				} else {
+					updateUrl();
+					updateButtons();
+				}
+			});
+		});
+
+		// Remove a single filter when its chip is clicked
+		if (activeFiltersContainer) {
+			activeFiltersContainer.addEventListener('click', function (e) {
+				const chip = e.target.closest('[data-remove-filter]');
+				if (!chip) {
+					return;
+				}
+
+				const index = Array.from(activeFiltersContainer.children).indexOf(chip);
+
+				state.filters = state.filters.filter(function (filter) {
+					return filter !== chip.dataset.removeFilter;
+				});
+
+				commitChange();
+
+				// The chips were re-rendered, so the clicked one no longer exists
+				focusChipAt(index);
+			});
+		}
+
+		// Debounced free-text search, combined with the active filters
+		if (searchInput) {
+			searchInput.addEventListener('input', function () {
+				const value = this.value.trim();
+
+				clearTimeout(searchTimeout);
+				searchTimeout = setTimeout(function () {
+					if (value === state.query) {
+						return;
+					}
+
+					state.query = value;
+					updateUrl(true); // Replace rather than push an entry for every keystroke
+					applyFilter(false); // Don't scroll while typing
+					trackSearch();
+				}, SEARCH_DEBOUNCE_DELAY);
+			});
+
+			searchInput.addEventListener('keydown', function (e) {
+				if (e.key === 'Escape' && this.value) {
+					this.value = '';
+					clearTimeout(searchTimeout);
+					state.query = '';
+					updateUrl(true);
+					applyFilter(false);
+					trackSearch();
+				}
+			});
+		}
+
+		// Reorder the grid when the sort changes
+		if (sortSelect) {
+			sortSelect.addEventListener('change', function () {
+				state.sort = this.value;
+				commitChange();
+			});
+		}
+
+		// Check if a sort value is one of the available options
+		function isKnownSort(sort) {
+			if (!sortSelect) {
+				return false;
+			}
+
+			return Array.from(sortSelect.options).some(function (option) {
+				return option.value === sort;
+			});
+		}
+
+		// Check if URL parameters contain any filter state
+		function hasStateParams(params) {
+			return STATE_PARAMS.some(function (param) {
+				return params.has(param);
+			});
+		}
+
+		// Get the URL parameters holding filter state, preferring the hash over the query string
+		function getUrlParams() {
+			const hashParams = new URLSearchParams(window.location.hash.substring(1));
+			if (hasStateParams(hashParams)) {
+				return hashParams;
+			}
+
+			return new URLSearchParams(window.location.search);
+		}
+
+		// Load state from the URL
+		// Supports #filter=financial,integrations&mode=and&q=search&sort=title (and legacy #filter=financial)
+		// as well as ?industry=financial,integrations&mode=and&q=search&sort=title
+		function loadStateFromUrl() {
+			const params = getUrlParams();
+			const filterParam = params.has('filter') ? params.get('filter') : params.get('industry');
+
+			state.filters = [];
+			state.mode = 'or';
+			state.query = '';
+			state.sort = defaultSort;
+
+			if (filterParam) {
+				const requested = filterParam.split(',');
+
+				// Keep only filters that exist, without duplicates
+				state.filters = requested.filter(function (filter, index) {
+					return isKnownFilter(filter) && requested.indexOf(filter) === index;
+				});
+				state.mode = params.get('mode') === 'and' ? 'and' : 'or';
+			}
+
+			if (params.has('q')) {
+				state.query = (params.get('q') || '').trim();
+			}
+
+			if (searchInput) {
+				searchInput.value = state.query;
+			}
+
+			if (isKnownSort(params.get('sort'))) {
+				state.sort = params.get('sort');
+			}
+		}
+
+		// Re-apply state when the user goes back/forward or edits the hash
+		function handleHistoryChange() {
+			const hash = window.location.hash.substring(1);
+
+			// Ignore plain in-page anchors so jump links don't reset the filters
+			if (hash && !hasStateParams(new URLSearchParams(hash))) {
+				return;
+			}
+
+			const previous = getStateParams();
+			loadStateFromUrl();
+
+			// popstate and hashchange can both fire for one navigation
+			if (getStateParams() === previous) {
+				return;
+			}
+
+			clearTimeout(searchTimeout);
+			applyFilter(false);
+		}
+
+		// Initialize
+		if (syncUrl) {
+			window.addEventListener('popstate', handleHistoryChange);
+			window.addEventListener('hashchange', handleHistoryChange);
+			loadStateFromUrl();
+		}
+
+		applyFilter(false); // Don't scroll on page load
+	}
+
+	/**
+	 * Get the filter categories for an item
+	 * Uses the server-side data-categories tags when present, otherwise
+	 * falls back to whole-word keyword matching on the item text
+	 */
+	function getItemCategories(item, searchText, filters) {
+		if (item.hasAttribute('data-categories')) {
+			return item.dataset.categories.split(/\s+/).filter(Boolean);
+		}
+
+		return Object.keys(filters).filter(function (filter) {
+			return filters[filter].some(function (keyword) {
+				return keywordMatches(searchText, keyword);
+			});
+		});
+	}
+
+	/**
+	 * Read the filter keyword map from the filter bar's data-filters attribute
+	 */
+	function parseFilters(root) {
+		try {
+			return JSON.parse(root.dataset.filters || '{}') || {};
+		} catch (e) {
+			return {};
+		}
+	}
+
+	/**
+	 * Find the items a filter bar controls
+	 * Uses data-target, then a Query Loop opted in with the .query-filter-{set}
+	 * class, then every item on the page
+	 */
+	function getItems(root) {
+		const itemSelector = root.dataset.itemSelector || '.wp-block-post';
+		const target = root.dataset.target
+			? document.querySelector(root.dataset.target)
+			: document.querySelector('.query-filter-' + root.dataset.queryFilter);
+
+		return (target || document).querySelectorAll(itemSelector);
+	}
+
+	/**
+	 * Get the publish timestamp for an item
+	 * Uses the server-side data-date attribute, then a post date block if present
+	 */
+	function getItemDate(item) {
+		if (item.dataset.date) {
+			return parseInt(item.dataset.date, 10) || 0;
+		}
+
+		const time = item.querySelector('.wp-block-post-date time[datetime]');
+		if (time) {
+			return Math.floor(Date.parse(time.getAttribute('datetime')) / 1000) || 0;
+		}
+
+		return 0;
+	}
+
+	/**
+	 * Build a whole-word regular expression for a keyword
+	 * Mirrors keyword_matches() in includes/query-filter.php
+	 */
+	function keywordPattern(keyword, flags) {
+		const escaped = keyword.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+		return new RegExp('(^|[^a-z0-9])' + escaped + 's?(?![a-z0-9])', flags);
+	}
+
+	/**
+	 * Check if a keyword appears in text as a whole word
+	 */
+	function keywordMatches(text, keyword) {
+		return keywordPattern(keyword).test(text);
+	}
+
+	/**
+	 * Count how many times a keyword appears in text as a whole word
+	 */
+	function countKeywordHits(text, keyword) {
+		const matches = text.match(keywordPattern(keyword, 'g'));
+		return matches ? matches.length : 0;
+	}
+
+	/**
+	 * Initialize lazy load fade-in animations for grid items
+	 * Uses Intersection Observer to trigger animations when items enter viewport
+	 */
+	function initLazyLoadAnimations(items) {
+		// Check for reduced motion preference
+		var prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+		// If user prefers reduced motion, show all items immediately
+		if (prefersReducedMotion) {
+			items.forEach(function (item) {
+				item.classList.add('lazy-visible');
+			});
+			return;
+		}
+
+		// Check if Intersection Observer is supported
+		if (!('IntersectionObserver' in window)) {
+			// Fallback: show all items immediately
+			items.forEach(function (item) {
+				item.classList.add('lazy-visible');
+			});
+			return;
+		}
+
+		// Add lazy-animate class to all items
+		items.forEach(function (item) {
+			item.classList.add('lazy-animate');
+		});
+
+		// Create observer with 15% threshold
+		var observer = new IntersectionObserver(
+			function (entries) {
+				entries.forEach(function (entry) {
+					if (entry.isIntersecting) {
+						entry.target.classList.add('lazy-visible');
+						observer.unobserve(entry.target);
+					}
+				});
+			},
+			{
+				threshold: 0.15,
+				rootMargin: '0px 0px -30px 0px',
+			}
+		);
+
+		// Observe each item
+		items.forEach(function (item) {
+			var rect = item.getBoundingClientRect();
+			var windowHeight = window.innerHeight || document.documentElement.clientHeight;
+
+			if (rect.top < windowHeight && rect.bottom > 0) {
+				// Element is already in viewport, animate immediately
+				item.classList.add('lazy-visible');
+			} else {
+				// Element is below viewport, observe it
+				observer.observe(item);
+			}
+		});
+	}
+})();
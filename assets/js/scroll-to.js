@@ -0,0 +1,293 @@
+/**
+ * Scroll To Target Script for 84EM Theme
+ * Shared scrolling for anchor links and scripts, clear of every sticky element
+ *
+ * Same-page anchor links (and a hash in the URL on load) scroll their target
+ * just below the sticky elements covering the top of the viewport: the admin
+ * bar, the header (including the .header-2 TOC) and a sticky .query-filter
+ * bar above the target. Scrolling is instant when the visitor prefers reduced
+ * motion, and the target receives focus so keyboard users continue from it.
+ * A target inside a closed <details> element or a collapsed accordion panel
+ * is revealed first.
+ *
+ * Other scripts use window.scrollToTarget(target, options) and
+ * window.getStickyOffset(target), and can listen for the
+ * `eightyfourem:scrolling-to` event on document, dispatched as scrolling
+ * starts with { target, id } as its detail, and `eightyfourem:scrolled-to`,
+ * dispatched once scrolling ends with { target, id, highlight }.
+ */
+(function() {
+    'use strict';
+
+    const EVENT_NAME = 'eightyfourem:scrolled-to';
+    const START_EVENT_NAME = 'eightyfourem:scrolling-to';
+
+    // Elements that stay on screen while scrolling, measured in this order
+    const STICKY_SELECTORS = ['#wpadminbar', 'header', '.query-filter'];
+
+    // Space left between the sticky elements and the target
+    const GAP = 20;
+
+    // Longest wait for the end of a smooth scroll before reporting it anyway
+    const SCROLL_END_TIMEOUT = 1000;
+
+    /**
+     * Get the element ID named in a URL hash
+     * A malformed escape sequence (e.g. #section-%E0) is kept as typed rather than throwing
+     */
+    function getHashId(hash) {
+        const id = hash.substring(1);
+
+        try {
+            return decodeURIComponent(id);
+        } catch (e) {
+            return id;
+        }
+    }
+
+    /**
+     * Check if a sticky element covers the target once it's scrolled to the top
+     * A sticky element only sticks inside its parent, so it has to come before the target there
+     */
+    function coversTarget(element, target) {
+        if (!target || element.tagName === 'HEADER' || element.id === 'wpadminbar') {
+            return true;
+        }
+
+        return element.parentNode.contains(target) &&
+            Boolean(element.compareDocumentPosition(target) & Node.DOCUMENT_POSITION_FOLLOWING);
+    }
+
+    /**
+     * Get the height of the viewport covered by sticky elements
+     * Uses the lowest bottom edge, since sticky elements stack below each other through their top offsets
+     */
+    function getStickyOffset(target) {
+        let offset = 0;
+
+        STICKY_SELECTORS.forEach(function(selector) {
+            document.querySelectorAll(selector).forEach(function(element) {
+                const style = window.getComputedStyle(element);
+
+                if ((style.position !== 'sticky' && style.position !== 'fixed') || style.display === 'none') {
+                    return;
+                }
+
+                // A smart header slid out of view (sticky-header.js) covers nothing
+                if (element.classList.contains('is-hidden')) {
+                    return;
+                }
+
+                if (!coversTarget(element, target)) {
+                    return;
+                }
+
+                offset = Math.max(offset, (parseFloat(style.top) || 0) + element.offsetHeight);
+            });
+        });
+
+        return offset;
+    }
+
+    /**
+     * Open the closed <details> elements and collapsed accordion panels around the target
+     *
+     * @return {boolean} Whether anything was opened
+     */
+    function revealTarget(target) {
+        let opened = false;
+        let element = target.parentElement ? target.parentElement.closest('details, .wp-block-accordion-item') : null;
+
+        while (element) {
+            if (element.tagName === 'DETAILS') {
+                const summary = element.querySelector(':scope > summary');
+
+                if (!element.open && !(summary && summary.contains(target))) {
+                    element.open = true;
+                    opened = true;
+                }
+            } else {
+                const panel = element.querySelector(':scope > .wp-block-accordion-panel');
+                const toggle = element.querySelector(':scope > .wp-block-accordion-heading .wp-block-accordion-heading__toggle');
+
+                if (panel && toggle && panel.contains(target) && toggle.getAttribute('aria-expanded') !== 'true') {
+                    toggle.click();
+                    opened = true;
+                }
+            }
+
+            element = element.parentElement ? element.parentElement.closest('details, .wp-block-accordion-item') : null;
+        }
+
+        return opened;
+    }
+
+    function prefersReducedMotion() {
+        return typeof window.matchMedia === 'function' && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    }
+
+    /**
+     * Move focus to the target without scrolling
+     * Elements that can't take focus get tabindex="-1" first
+     */
+    function focusTarget(target) {
+        if (!target.matches('a[href], button, input, select, textarea, [tabindex]')) {
+            target.setAttribute('tabindex', '-1');
+        }
+
+        target.focus({ preventScroll: true });
+    }
+
+    /**
+     * Call back once a smooth scroll has finished
+     */
+    function onScrollEnd(callback) {
+        let done = false;
+        let timeout;
+
+        function finish() {
+            if (done) {
+                return;
+            }
+
+            done = true;
+            clearTimeout(timeout);
+            window.removeEventListener('scrollend', finish);
+            callback();
+        }
+
+        window.addEventListener('scrollend', finish);
+        timeout = setTimeout(finish, SCROLL_END_TIMEOUT);
+    }
+
+    /**
+     * Scroll an element (or the element with an ID) below the sticky elements
+     *
+     * Options:
+     * - offset: extra space in pixels above the target (default 20)
+     * - focus: move focus to the target (default true)
+     * - highlight: ask listeners such as highlight.js to highlight the target (default true)
+     * - behavior: 'smooth' or 'auto' (default smooth, auto when reduced motion is preferred)
+     *
+     * @return {boolean} Whether the target was found
+     */
+    function scrollToTarget(target, options) {
+        options = options || {};
+
+        if (typeof target === 'string') {
+            target = target ? document.getElementById(target) : null;
+        }
+
+        if (!target) {
+            return false;
+        }
+
+        const gap = typeof options.offset === 'number' ? options.offset : GAP;
+        const behavior = prefersReducedMotion() ? 'auto' : (options.behavior || 'smooth');
+
+        function finish() {
+            if (options.focus !== false) {
+                focusTarget(target);
+            }
+
+            document.dispatchEvent(new CustomEvent(EVENT_NAME, {
+                detail: {
+                    target: target,
+                    id: target.id,
+                    highlight: options.highlight !== false
+                }
+            }));
+        }
+
+        function scroll() {
+            const currentScrollY = window.scrollY || window.pageYOffset || 0;
+            const top = Math.max(0, target.getBoundingClientRect().top + currentScrollY - getStickyOffset(target) - gap);
+
+            // Lets the smart header stay as it is, so the offset measured above still holds
+            document.dispatchEvent(new CustomEvent(START_EVENT_NAME, {
+                detail: {
+                    target: target,
+                    id: target.id
+                }
+            }));
+
+            window.scrollTo({ top: top, behavior: behavior });
+
+            // No scroll events follow an instant scroll or one that didn't move
+            if (behavior === 'auto' || Math.abs(top - currentScrollY) < 2) {
+                window.requestAnimationFrame(finish);
+            } else {
+                onScrollEnd(finish);
+            }
+        }
+
+        // An accordion may render its opened panel on the next frame, so measure after it
+        if (revealTarget(target)) {
+            window.requestAnimationFrame(scroll);
+        } else {
+            scroll();
+        }
+
+        return true;
+    }
+
+    window.scrollToTarget = scrollToTarget;
+    window.getStickyOffset = getStickyOffset;
+
+    /**
+     * Get the element a link points to when it's on the current page
+     */
+    function getLinkTarget(link) {
+        const href = link.getAttribute('href');
+
+        if (!href || href.indexOf('#') === -1 || link.target === '_blank') {
+            return null;
+        }
+
+        const url = new URL(href, window.location.href);
+
+        if (url.origin !== window.location.origin || url.pathname !== window.location.pathname || url.search !== window.location.search) {
+            return null;
+        }
+
+        const id = getHashId(url.hash);
+
+        return id ? document.getElementById(id) : null;
+    }
+
+    // Handle same-page anchor links in the capture phase, before the browser jumps to the target
+    document.addEventListener('click', function(e) {
+        if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) {
+            return;
+        }
+
+        const link = e.target.closest ? e.target.closest('a[href]') : null;
+        const target = link ? getLinkTarget(link) : null;
+
+        if (!target) {
+            return;
+        }
+
+        e.preventDefault();
+
+        // Update URL hash
+        if (history.pushState) {
+            history.pushState(null, '', '#' + target.id);
+        }
+
+        scrollToTarget(target);
+    }, true);
+
+    // The browser's own jump to a hash on load ignores the sticky elements
+    // Waits for the other DOMContentLoaded handlers, so scripts such as faq-search.js can give
+    // their targets IDs and reveal them first
+    document.addEventListener('DOMContentLoaded', function() {
+        setTimeout(function() {
+            const id = getHashId(window.location.hash);
+
+            if (id) {
+                scrollToTarget(id, { behavior: 'auto', focus: false });
+            }
+        }, 0);
+    });
+})();
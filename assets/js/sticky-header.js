@@ -1,5 +1,6 @@
 /**
  * Sticky Header Script for 84EM Theme
+ * Swaps .header-2 for a "Jump to Section" menu once the page scrolls past the hero
  */
 (function() {
     'use strict';
@@ -13,6 +14,86 @@
             return;
         }
 
+        const smartHeader = document.body.classList.contains('smart-header') ? createSmartHeader() : null;
+
+        // Smart header (smart-header body class): hide on scroll down, reveal on scroll up
+        function createSmartHeader() {
+            // Continuous scroll distance (px) or speed (px/ms) needed to hide or reveal the header
+            var HIDE_DISTANCE = 80;
+            var HIDE_VELOCITY = 0.6;
+            var REVEAL_DISTANCE = 120;
+            var REVEAL_VELOCITY = 0.8;
+
+            var lastScrollY = window.scrollY || window.pageYOffset || 0;
+            var lastTime = Date.now();
+            var distance = 0;
+            var hidden = false;
+
+            // Set while scroll-to.js scrolls to a target it measured with the header as it is
+            var frozen = false;
+
+            function setHidden(hide) {
+                if (hide === hidden) {
+                    return;
+                }
+
+                hidden = hide;
+                header.classList.toggle('is-hidden', hide);
+            }
+
+            // Keep the header in view while the TOC menu is open
+            function isPinned() {
+                return header.querySelector('.ef-sticky-toc.is-open') !== null;
+            }
+
+            function update(currentScrollY) {
+                var now = Date.now();
+
+                if (frozen) {
+                    lastScrollY = currentScrollY;
+                    lastTime = now;
+                    distance = 0;
+                    return;
+                }
+
+                var delta = currentScrollY - lastScrollY;
+                var velocity = Math.abs(delta) / Math.max(now - lastTime, 1);
+
+                // Restart the distance whenever the direction changes
+                distance = (delta > 0) === (distance > 0) ? distance + delta : delta;
+
+                lastScrollY = currentScrollY;
+                lastTime = now;
+
+                if (currentScrollY <= header.offsetHeight || isPinned()) {
+                    setHidden(false);
+                } else if (delta > 0 && (distance > HIDE_DISTANCE || velocity > HIDE_VELOCITY)) {
+                    setHidden(true);
+                } else if (delta < 0 && (-distance > REVEAL_DISTANCE || velocity > REVEAL_VELOCITY)) {
+                    setHidden(false);
+                }
+            }
+
+            // Tabbing into the hidden header brings it back
+            header.addEventListener('focusin', function() {
+                setHidden(false);
+            });
+
+            document.addEventListener('eightyfourem:scrolling-to', function() {
+                frozen = true;
+            });
+
+            // Start measuring again from where the scroll ended, so the jump itself isn't a scroll down
+            document.addEventListener('eightyfourem:scrolled-to', function() {
+                frozen = false;
+                lastScrollY = window.scrollY || window.pageYOffset || 0;
+                lastTime = Date.now();
+                distance = 0;
+            });
+
+            return { update: update };
+        }
+
         // Check if sticky TOC is disabled for this page
         if (document.body.classList.contains('disable-sticky-toc')) {
             // Still handle scrolled header class
@@ -27,6 +108,10 @@
                     header.classList.remove('scrolled');
                 }
 
+                if (smartHeader) {
+                    smartHeader.update(currentScrollY);
+                }
+
                 ticking = false;
             }
 
@@ -44,15 +129,50 @@
         }
 
         const originalMarkup = header2.innerHTML;
-        const tocItems = collectHeadings();
-        const tocNav = tocItems.length ? buildToc(tocItems) : null;
+        const collapsibleSelector = 'details, .wp-block-accordion-item';
+        const tocNav = getHeadings().length ? buildToc() : null;
+        let tocItems = [];
+        let tocLinks = [];
         let tocActive = false;
+        let tocOpen = false;
+        let tocTrigger = null;
+        let tocRefreshTimeout;
         let ticking = false;
         const tocOffset = 50;
 
-        function collectHeadings() {
-            const existingIds = new Set();
-            const headings = Array.from(document.querySelectorAll('main h2'));
+        // Scroll spy state
+        let currentSectionId = null;
+        let spyObserver = null;
+        let spyResizeTimeout;
+
+        if (tocNav) {
+            renderTocList(collectHeadings());
+        }
+
+        // Reading progress bar along .header-2, left out with the disable-reading-progress body class
+        const progressBar = tocNav && !document.body.classList.contains('disable-reading-progress') ? buildProgressBar() : null;
+
+        // Deepest heading level listed in the TOC: 2 by default, 3 when the page opts in with
+        // the sticky-toc-depth-3 class (on the body or any block) or data-sticky-toc-depth="3"
+        function getTocDepth() {
+            const setting = document.querySelector('[data-sticky-toc-depth], [class*="sticky-toc-depth-"]');
+            let depth = 2;
+
+            if (setting) {
+                const match = setting.hasAttribute('data-sticky-toc-depth')
+                    ? [null, setting.getAttribute('data-sticky-toc-depth')]
+                    : setting.className.match(/\bsticky-toc-depth-(\d)\b/);
+
+                depth = match ? parseInt(match[1], 10) || 2 : 2;
+            }
+
+            return Math.min(Math.max(depth, 2), 3);
+        }
+
+        // Headings the TOC can list, whether or not they're shown right now
+        function getHeadings() {
+            const selector = getTocDepth() === 3 ? 'main h2, main h3' : 'main h2';
+            const headings = Array.from(document.querySelectorAll(selector));
             const excludeSelectors = [
                 '[data-sticky-toc="exclude"]',
                 '[data-sticky-toc-exclude]',
@@ -67,21 +187,43 @@
                 '.wp-block-group.is-style-hero'
             ];
 
-            return headings
-                .filter(function(heading) {
-                    const text = heading.textContent ? heading.textContent.trim() : '';
-                    if (text.length === 0 || heading.offsetParent === null) {
+            return headings.filter(function(heading) {
+                const text = heading.textContent ? heading.textContent.trim() : '';
+                if (text.length === 0) {
+                    return false;
+                }
+
+                for (let i = 0; i < excludeSelectors.length; i++) {
+                    if (heading.closest(excludeSelectors[i])) {
                         return false;
                     }
+                }
 
-                    for (let i = 0; i < excludeSelectors.length; i++) {
-                        if (heading.closest(excludeSelectors[i])) {
-                            return false;
-                        }
-                    }
+                return true;
+            });
+        }
+
+        // Headings hidden by a search or filter are left out, but a heading in a collapsed
+        // accordion or <details> is listed as long as the accordion itself is shown
+        function isHeadingListed(heading) {
+            var element = heading;
+
+            while (element.offsetParent === null) {
+                element = element.parentElement ? element.parentElement.closest(collapsibleSelector) : null;
+
+                if (!element) {
+                    return false;
+                }
+            }
 
-                    return true;
-                })
+            return true;
+        }
+
+        function collectHeadings() {
+            const existingIds = new Set();
+
+            return getHeadings()
+                .filter(isHeadingListed)
                 .map(function(heading, index) {
                     if (heading.id) {
                         existingIds.add(heading.id);
@@ -94,7 +236,8 @@
 
                     return {
                         id: heading.id,
-                        label: formatLabel(heading.textContent || '')
+                        label: formatLabel(heading.textContent || ''),
+                        level: heading.tagName === 'H3' ? 3 : 2
                     };
                 });
         }
@@ -121,85 +264,429 @@
             return text.trim().replace(/\s+/g, ' ');
         }
 
-        function buildToc(items) {
-            var wrapper = document.createElement('div');
+        function buildToc() {
+            var wrapper = document.createElement('nav');
             wrapper.className = 'ef-sticky-toc alignwide';
+            wrapper.setAttribute('aria-label', 'Table of contents');
 
             // Create clickable label with arrow
+            // Its visible text is its accessible name, so it includes the current section
             var label = document.createElement('button');
+            label.type = 'button';
             label.className = 'ef-sticky-toc__label';
-            label.setAttribute('aria-label', 'Open table of contents');
+            label.setAttribute('aria-expanded', 'false');
+            label.setAttribute('aria-controls', 'ef-sticky-toc-menu');
             label.textContent = 'Jump to Section ';
+
+            // Name of the section being read, filled in by the scroll spy
+            var current = document.createElement('span');
+            current.className = 'ef-sticky-toc__current';
+            current.hidden = true;
+            label.appendChild(current);
+
             var arrow = document.createElement('span');
             arrow.className = 'ef-sticky-toc__arrow';
+            arrow.setAttribute('aria-hidden', 'true');
             arrow.innerHTML = '&rarr;';
             label.appendChild(arrow);
 
             // Create hamburger button
             var button = document.createElement('button');
+            button.type = 'button';
             button.className = 'ef-sticky-toc__toggle';
-            button.setAttribute('aria-label', 'Open table of contents');
+            button.setAttribute('aria-label', 'Table of contents');
             button.setAttribute('aria-expanded', 'false');
+            button.setAttribute('aria-controls', 'ef-sticky-toc-menu');
             button.innerHTML = '<span class="ef-sticky-toc__icon"></span>';
 
             // Create menu container
             var menu = document.createElement('div');
             menu.className = 'ef-sticky-toc__menu';
+            menu.id = 'ef-sticky-toc-menu';
             menu.setAttribute('aria-hidden', 'true');
 
+            // Announces opening and closing to screen readers
+            var status = document.createElement('div');
+            status.className = 'ef-sticky-toc__status';
+            status.setAttribute('role', 'status');
+            status.setAttribute('aria-live', 'polite');
+
             var list = document.createElement('ul');
             list.className = 'ef-sticky-toc__list';
 
-            items.forEach(function(item) {
-                var li = document.createElement('li');
-                var link = document.createElement('a');
-                link.className = 'ef-sticky-toc__link';
-                link.href = '#' + item.id;
-                link.textContent = item.label;
-                li.appendChild(link);
-                list.appendChild(li);
-            });
-
             menu.appendChild(list);
 
             // Assemble components
             wrapper.appendChild(label);
             wrapper.appendChild(button);
             wrapper.appendChild(menu);
+            wrapper.appendChild(status);
 
-            // Toggle functionality for both label and button
-            function toggleMenu() {
-                var isOpen = button.getAttribute('aria-expanded') === 'true';
-                button.setAttribute('aria-expanded', !isOpen);
-                label.setAttribute('aria-expanded', !isOpen);
-                menu.setAttribute('aria-hidden', isOpen);
-                wrapper.classList.toggle('is-open', !isOpen);
-            }
+            // Both the label and the button toggle the menu, and focus returns to the one used
+            [label, button].forEach(function(control) {
+                control.addEventListener('click', function() {
+                    setTocOpen(!tocOpen, { trigger: control, focusMenu: true });
+                });
 
-            button.addEventListener('click', toggleMenu);
-            label.addEventListener('click', toggleMenu);
+                control.addEventListener('keydown', function(e) {
+                    if (e.key === 'ArrowDown' && !tocOpen) {
+                        e.preventDefault();
+                        setTocOpen(true, { trigger: control, focusMenu: true });
+                    }
+                });
+            });
 
-            // Close menu when clicking a link
+            // Close menu when clicking a link, leaving focus to the scroll to the section
             list.addEventListener('click', function(e) {
                 if (e.target.classList.contains('ef-sticky-toc__link')) {
-                    button.setAttribute('aria-expanded', 'false');
-                    menu.setAttribute('aria-hidden', 'true');
-                    wrapper.classList.remove('is-open');
+                    setTocOpen(false);
+                }
+            });
+
+            menu.addEventListener('keydown', handleMenuKeydown);
+
+            wrapper.addEventListener('keydown', function(e) {
+                if (e.key === 'Escape' && tocOpen) {
+                    e.preventDefault();
+                    setTocOpen(false, { returnFocus: true });
+                }
+            });
+
+            // Close menu when focus moves out of it (e.g. tabbing past the last link)
+            wrapper.addEventListener('focusout', function(e) {
+                if (tocOpen && e.relatedTarget && !wrapper.contains(e.relatedTarget)) {
+                    setTocOpen(false);
                 }
             });
 
             // Close menu when clicking outside
             document.addEventListener('click', function(e) {
-                if (!wrapper.contains(e.target)) {
-                    button.setAttribute('aria-expanded', 'false');
-                    menu.setAttribute('aria-hidden', 'true');
-                    wrapper.classList.remove('is-open');
+                if (tocOpen && !wrapper.contains(e.target)) {
+                    setTocOpen(false);
                 }
             });
 
             return wrapper;
         }
 
+        // Fill the menu with links to the listed headings, keeping expanded groups and focus
+        function renderTocList(items) {
+            var list = tocNav.querySelector('.ef-sticky-toc__list');
+            var active = document.activeElement;
+            var focusedLink = active && list.contains(active) ? active.closest('li').querySelector('.ef-sticky-toc__link') : null;
+            var focusedHref = focusedLink ? focusedLink.getAttribute('href') : null;
+            var expanded = Array.from(list.querySelectorAll('.has-children.is-expanded')).map(function(li) {
+                return li.querySelector('.ef-sticky-toc__link').getAttribute('href');
+            });
+
+            list.textContent = '';
+
+            // Group h3 headings under the h2 before them (h3s before any h2 stay top level)
+            var groups = [];
+            items.forEach(function(item) {
+                var parent = groups[groups.length - 1];
+
+                if (item.level === 3 && parent && parent.item.level === 2) {
+                    parent.children.push(item);
+                } else {
+                    groups.push({ item: item, children: [] });
+                }
+            });
+
+            groups.forEach(function(group) {
+                var li = document.createElement('li');
+                li.appendChild(buildTocLink(group.item));
+
+                if (group.children.length) {
+                    var sublist = document.createElement('ul');
+                    sublist.className = 'ef-sticky-toc__sublist';
+                    sublist.id = 'ef-sticky-toc-sub-' + group.item.id;
+                    sublist.hidden = true;
+
+                    group.children.forEach(function(child) {
+                        var subItem = document.createElement('li');
+                        subItem.appendChild(buildTocLink(child));
+                        sublist.appendChild(subItem);
+                    });
+
+                    var subToggle = document.createElement('button');
+                    subToggle.type = 'button';
+                    subToggle.className = 'ef-sticky-toc__subtoggle';
+                    subToggle.setAttribute('aria-expanded', 'false');
+                    subToggle.setAttribute('aria-controls', sublist.id);
+                    subToggle.setAttribute('aria-label', 'Show subsections of ' + group.item.label);
+                    subToggle.addEventListener('click', function() {
+                        setSublistOpen(li, sublist.hidden);
+                    });
+
+                    li.classList.add('has-children');
+                    li.appendChild(subToggle);
+                    li.appendChild(sublist);
+                }
+
+                list.appendChild(li);
+            });
+
+            tocItems = items;
+            tocLinks = Array.from(list.querySelectorAll('.ef-sticky-toc__link'));
+
+            // The new links start with no current section, until the scroll spy marks one
+            var current = tocNav.querySelector('.ef-sticky-toc__current');
+            current.textContent = '';
+            current.hidden = true;
+            currentSectionId = null;
+
+            list.querySelectorAll('.has-children').forEach(function(li) {
+                if (expanded.indexOf(li.querySelector('.ef-sticky-toc__link').getAttribute('href')) !== -1) {
+                    setSublistOpen(li, true);
+                }
+            });
+
+            // Keep focus on the same link, or on the first one if its heading left the list
+            if (focusedHref !== null) {
+                var links = getVisibleTocLinks();
+                var focusLink = links.filter(function(link) {
+                    return link.getAttribute('href') === focusedHref;
+                })[0] || links[0];
+
+                if (focusLink) {
+                    focusLink.focus({ preventScroll: true });
+                }
+            }
+        }
+
+        // Rebuild the links when the listed headings change, e.g. a search or filter hid some sections
+        function refreshToc() {
+            var items = collectHeadings();
+            var signature = function(list) {
+                return list.map(function(item) {
+                    return item.level + '#' + item.id + ' ' + item.label;
+                }).join('\n');
+            };
+
+            if (signature(items) === signature(tocItems)) {
+                return;
+            }
+
+            renderTocList(items);
+            updateCurrentSection();
+
+            if (spyObserver) {
+                observeHeadings();
+            }
+
+            // Hides the TOC when no headings are left, or brings it back
+            requestTick();
+        }
+
+        function scheduleTocRefresh() {
+            clearTimeout(tocRefreshTimeout);
+            tocRefreshTimeout = setTimeout(refreshToc, 100);
+        }
+
+        // Open or close the TOC menu, keeping the label, button and menu in sync
+        // options.trigger: control that opened the menu, focused again when it closes with returnFocus
+        // options.focusMenu: move focus to the current (or first) link when opening
+        function setTocOpen(open, options) {
+            options = options || {};
+
+            if (!tocNav || open === tocOpen) {
+                return;
+            }
+
+            tocOpen = open;
+
+            if (open && options.trigger) {
+                tocTrigger = options.trigger;
+            }
+
+            var menu = tocNav.querySelector('.ef-sticky-toc__menu');
+
+            tocNav.querySelectorAll('.ef-sticky-toc__label, .ef-sticky-toc__toggle').forEach(function(control) {
+                control.setAttribute('aria-expanded', open ? 'true' : 'false');
+            });
+            menu.setAttribute('aria-hidden', open ? 'false' : 'true');
+            tocNav.classList.toggle('is-open', open);
+
+            var links = getVisibleTocLinks();
+            tocNav.querySelector('.ef-sticky-toc__status').textContent = open
+                ? 'Table of contents expanded, ' + links.length + (links.length === 1 ? ' section' : ' sections')
+                : 'Table of contents collapsed';
+
+            if (open && options.focusMenu && links.length) {
+                var current = tocNav.querySelector('.ef-sticky-toc__link.is-current');
+                (current && links.indexOf(current) !== -1 ? current : links[0]).focus({ preventScroll: true });
+            }
+
+            if (!open && options.returnFocus) {
+                (tocTrigger || tocNav.querySelector('.ef-sticky-toc__toggle')).focus();
+            }
+        }
+
+        // Links not hidden in a collapsed sub-list
+        function getVisibleTocLinks() {
+            return tocLinks.filter(function(link) {
+                return !link.closest('[hidden]');
+            });
+        }
+
+        // Arrow keys, Home and End move between the visible links in the menu
+        function handleMenuKeydown(e) {
+            var links = getVisibleTocLinks();
+            var active = document.activeElement;
+            var nextIndex;
+
+            // A sub-list toggle counts as the link next to it
+            if (active && active.classList.contains('ef-sticky-toc__subtoggle')) {
+                active = active.parentNode.querySelector('.ef-sticky-toc__link');
+            }
+
+            var index = links.indexOf(active);
+
+            switch (e.key) {
+                case 'ArrowDown':
+                    nextIndex = index === -1 ? 0 : Math.min(index + 1, links.length - 1);
+                    break;
+                case 'ArrowUp':
+                    nextIndex = index === -1 ? 0 : Math.max(index - 1, 0);
+                    break;
+                case 'Home':
+                    nextIndex = 0;
+                    break;
+                case 'End':
+                    nextIndex = links.length - 1;
+                    break;
+                default:
+                    return;
+            }
+
+            if (links[nextIndex]) {
+                e.preventDefault();
+                links[nextIndex].focus();
+            }
+        }
+
+        function buildTocLink(item) {
+            var link = document.createElement('a');
+            link.className = 'ef-sticky-toc__link';
+            link.href = '#' + item.id;
+            link.textContent = item.label;
+
+            return link;
+        }
+
+        // Expand or collapse the h3 links under an h2 in the TOC
+        function setSublistOpen(li, open) {
+            var subToggle = li.querySelector('.ef-sticky-toc__subtoggle');
+            var sublist = li.querySelector('.ef-sticky-toc__sublist');
+
+            if (!subToggle || !sublist) {
+                return;
+            }
+
+            sublist.hidden = !open;
+            subToggle.setAttribute('aria-expanded', open ? 'true' : 'false');
+            li.classList.toggle('is-expanded', open);
+        }
+
+        function buildProgressBar() {
+            var bar = document.createElement('div');
+            bar.className = 'ef-sticky-toc__progress';
+            bar.setAttribute('aria-hidden', 'true');
+            header2.appendChild(bar);
+
+            return bar;
+        }
+
+        function updateProgress() {
+            var scrollable = document.documentElement.scrollHeight - window.innerHeight;
+            var currentScrollY = window.scrollY || window.pageYOffset || 0;
+            var progress = scrollable > 0 ? Math.min(1, Math.max(0, currentScrollY / scrollable)) : 0;
+
+            progressBar.style.transform = 'scaleX(' + progress + ')';
+        }
+
+        // Distance from the top of the viewport at which a heading becomes the current section
+        // Anchor links scroll headings 20px below the sticky elements, so a heading reached through the TOC is current
+        function getSpyOffset() {
+            var stickyOffset = typeof window.getStickyOffset === 'function' ? window.getStickyOffset() : header.offsetHeight;
+
+            return stickyOffset + 21;
+        }
+
+        // The current section is the last heading scrolled past the header
+        function updateCurrentSection() {
+            var offset = getSpyOffset();
+            var current = null;
+
+            tocItems.forEach(function(item) {
+                var heading = document.getElementById(item.id);
+
+                // Headings in a collapsed panel have no position of their own
+                if (heading && heading.offsetParent !== null && heading.getBoundingClientRect().top <= offset) {
+                    current = item;
+                }
+            });
+
+            setCurrentSection(current);
+        }
+
+        function setCurrentSection(item) {
+            var id = item ? item.id : null;
+
+            if (id === currentSectionId) {
+                return;
+            }
+
+            currentSectionId = id;
+
+            tocLinks.forEach(function(link) {
+                var isCurrent = id !== null && link.getAttribute('href') === '#' + id;
+
+                link.classList.toggle('is-current', isCurrent);
+
+                if (isCurrent) {
+                    link.setAttribute('aria-current', 'location');
+
+                    // Show the current subsection and mark the section it belongs to
+                    var parentItem = link.closest('.ef-sticky-toc__sublist') ? link.closest('.has-children') : null;
+                    if (parentItem) {
+                        setSublistOpen(parentItem, true);
+                    }
+                } else {
+                    link.removeAttribute('aria-current');
+                }
+            });
+
+            tocNav.querySelectorAll('.has-children').forEach(function(li) {
+                li.classList.toggle('has-current', li.querySelector('.ef-sticky-toc__sublist .is-current') !== null);
+            });
+
+            var current = tocNav.querySelector('.ef-sticky-toc__current');
+
+            current.textContent = item ? item.label : '';
+            current.hidden = !item;
+        }
+
+        // Re-check the current section whenever a heading crosses the bottom of the header
+        function observeHeadings() {
+            if (spyObserver) {
+                spyObserver.disconnect();
+            }
+
+            spyObserver = new IntersectionObserver(updateCurrentSection, {
+                rootMargin: '-' + getSpyOffset() + 'px 0px 0px 0px'
+            });
+
+            tocItems.forEach(function(item) {
+                var heading = document.getElementById(item.id);
+
+                if (heading) {
+                    spyObserver.observe(heading);
+                }
+            });
+        }
+
         function activateToc() {
             if (!tocNav || tocActive) {
                 return;
@@ -219,6 +706,7 @@
                 return;
             }
 
+            setTocOpen(false);
             header2.classList.remove('ef-sticky-toc-active');
             tocActive = false;
         }
@@ -234,11 +722,24 @@
             }
 
             if (tocNav) {
-                if (currentScrollY > 60 && !tocActive) {
+                if (currentScrollY > 60 && !tocActive && tocItems.length) {
                     activateToc();
-                } else if (currentScrollY < 40 && tocActive) {
+                } else if ((currentScrollY < 40 || !tocItems.length) && tocActive) {
                     restoreOriginal();
                 }
+
+                // Without IntersectionObserver the spy follows the scroll position instead
+                if (!spyObserver) {
+                    updateCurrentSection();
+                }
+            }
+
+            if (progressBar) {
+                updateProgress();
+            }
+
+            if (smartHeader) {
+                smartHeader.update(currentScrollY);
             }
 
             ticking = false;
@@ -254,43 +755,32 @@
         window.addEventListener('scroll', requestTick);
         window.addEventListener('resize', requestTick);
 
-        // Handle anchor link clicks with offset for sticky header
-        document.addEventListener('click', function(e) {
-            // Check if clicked element is an anchor link
-            const link = e.target.closest('a');
-            if (link) {
-                const href = link.getAttribute('href');
-                // Check if it's an anchor link
-                if (href && (href.startsWith('#') || href.includes('#'))) {
-                    const hashIndex = href.indexOf('#');
-                    if (hashIndex !== -1) {
-                        const targetId = href.substring(hashIndex + 1);
-                        if (targetId) {
-                            const targetElement = document.getElementById(targetId);
-                            if (targetElement) {
-                                e.preventDefault();
-
-                                // Calculate header height for offset
-                                const headerHeight = header.offsetHeight;
-                                const targetPosition = targetElement.getBoundingClientRect().top + window.pageYOffset;
-                                const offsetPosition = targetPosition - headerHeight - 20; // 20px extra padding
-
-                                // Scroll to position with offset
-                                window.scrollTo({
-                                    top: offsetPosition,
-                                    behavior: 'smooth'
-                                });
-
-                                // Update URL hash
-                                if (history.pushState) {
-                                    history.pushState(null, null, href);
-                                }
-                            }
-                        }
-                    }
-                }
-            }
-        }, true); // Use capture phase to handle the event before default behavior
+        if (tocNav && 'IntersectionObserver' in window) {
+            observeHeadings();
+
+            // The header height sets the observer's margin, so observe again once resizing settles
+            window.addEventListener('resize', function() {
+                clearTimeout(spyResizeTimeout);
+                spyResizeTimeout = setTimeout(observeHeadings, 200);
+            });
+        }
+
+        // Searches and filters (faq-search.js, query-filter.js) hide and show sections, and
+        // accordions render their panels, after load, so follow changes to the content
+        if (tocNav && 'MutationObserver' in window) {
+            new MutationObserver(scheduleTocRefresh).observe(document.querySelector('main'), {
+                subtree: true,
+                childList: true,
+                characterData: true,
+                attributes: true,
+                attributeFilter: ['style', 'class', 'hidden', 'open', 'aria-hidden']
+            });
+
+            // Media queries can hide sections too
+            window.addEventListener('resize', scheduleTocRefresh);
+        }
+
+        // Anchor links are scrolled below the sticky header by scroll-to.js
 
         // Don't call updateHeader() on page load - only on scroll
     });
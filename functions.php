@@ -13,6 +13,7 @@
  */
 require_once get_template_directory() . '/includes/404.php';
 require_once get_template_directory() . '/includes/accessibility.php';
+require_once get_template_directory() . '/includes/analytics.php';
 require_once get_template_directory() . '/includes/author-pages.php';
 require_once get_template_directory() . '/includes/block-styles.php';
 require_once get_template_directory() . '/includes/block-stylesheets.php';
@@ -36,11 +37,13 @@ require_once get_template_directory() . '/includes/meta-tags.php';
 require_once get_template_directory() . '/includes/open-graph-images.php';
 require_once get_template_directory() . '/includes/pattern-categories.php';
 require_once get_template_directory() . '/includes/performance.php';
+require_once get_template_directory() . '/includes/query-filter.php';
 require_once get_template_directory() . '/includes/reading-time.php';
 require_once get_template_directory() . '/includes/permalinks.php';
 require_once get_template_directory() . '/includes/relevanssi.php';
 require_once get_template_directory() . '/includes/schema.php';
 require_once get_template_directory() . '/includes/search.php';
+require_once get_template_directory() . '/includes/search-suggestions.php';
 require_once get_template_directory() . '/includes/shortcodes.php';
 require_once get_template_directory() . '/includes/shortlinks.php';
 require_once get_template_directory() . '/includes/html-sitemap.php';
@@ -21,7 +21,7 @@ const paths = {
       './assets/css/page-specific.css',
       './assets/css/utilities.css',
       './assets/css/sticky-header.css',
-      './assets/css/case-study-filter.css',
+      './assets/css/query-filter.css',
       './assets/css/related-case-studies.css',
       './assets/css/search.css',
       './assets/css/modal-search.css',
@@ -46,10 +46,12 @@ const paths = {
   },
   scripts: {
     theme: [
+      './assets/js/scroll-to.js',
       './assets/js/sticky-header.js',
-      './assets/js/case-study-filter.js',
+      './assets/js/query-filter.js',
       './assets/js/modal-search.js',
       './assets/js/faq-search.js',
+      './assets/js/analytics.js',
       './assets/js/animations.js',
       './assets/js/hero-lazy-load.js',
       './assets/js/columns-reverse-mobile.js'
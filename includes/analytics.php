@@ -0,0 +1,385 @@
+<?php
+/**
+ * Interaction Analytics
+ * Receives filter and search events from assets/js/analytics.js and keeps
+ * aggregate counts per event so popular and zero-result searches can be reviewed
+ *
+ * Only the event name, the searched term or filter selection and whether it
+ * returned results are stored. No IP addresses, user IDs or cookies are kept:
+ * the rate limit counts events under a hash of the IP address in a transient
+ * that expires after a minute.
+ *
+ * @package EightyFourEM
+ */
+
+namespace EightyFourEM\Analytics;
+
+defined( 'ABSPATH' ) || exit;
+
+const OPTION_NAME = 'eightyfourem_analytics_events';
+
+// Maximum number of distinct terms kept per event, the least used are dropped first
+const MAX_TERMS = 500;
+
+// Maximum length of a stored term
+const MAX_TERM_LENGTH = 100;
+
+// Maximum number of events accepted from one visitor per minute
+const RATE_LIMIT = 30;
+
+// Row in the options table that lets one request at a time update the counts
+const LOCK_NAME = 'eightyfourem_analytics_lock';
+
+// Seconds after which a lock left by a failed request is cleared
+const LOCK_TIMEOUT = 10;
+
+/**
+ * Get the event types that are recorded server-side
+ *
+ * @return array Event configurations keyed by event name, with a label and the data field holding the term
+ */
+function get_event_types(): array {
+	return [
+		'filter_change' => [
+			'label' => 'Filter selections',
+			'field' => 'filters',
+		],
+		'filter_search' => [
+			'label' => 'Filter searches',
+			'field' => 'query',
+		],
+		'faq_search'    => [
+			'label' => 'FAQ searches',
+			'field' => 'query',
+		],
+		'site_search'   => [
+			'label' => 'Site searches',
+			'field' => 'query',
+		],
+	];
+}
+
+/**
+ * Get the sinks the client-side dispatcher forwards events to
+ *
+ * Events are only logged to the console while WP_DEBUG is on, so
+ * development traffic doesn't reach the stored counts.
+ *
+ * @return array Sink names (dataLayer, simpleAnalytics, beacon, console or custom)
+ */
+function get_sinks(): array {
+	$sinks = ( \defined( 'WP_DEBUG' ) && WP_DEBUG )
+		? [ 'console' ]
+		: [ 'dataLayer', 'simpleAnalytics', 'beacon' ];
+
+	return \apply_filters( 'eightyfourem_analytics_sinks', $sinks );
+}
+
+/**
+ * Normalize a term so variations of the same search are counted together
+ *
+ * @param string $term Raw term
+ * @return string Normalized term, empty if nothing is left
+ */
+function normalize_term( string $term ): string {
+	$term = \sanitize_text_field( $term );
+	$term = \preg_replace( '/\s+/', ' ', \mb_strtolower( $term ) );
+
+	return \trim( \mb_substr( $term, 0, MAX_TERM_LENGTH ) );
+}
+
+/**
+ * Count an event against the sender's rate limit
+ *
+ * @return bool Whether the sender has gone over the limit
+ */
+function is_rate_limited(): bool {
+	$ip    = \sanitize_text_field( \wp_unslash( $_SERVER['REMOTE_ADDR'] ?? '' ) );
+	$key   = 'eightyfourem_analytics_rate_' . \md5( \wp_hash( $ip ) );
+	$count = (int) \get_transient( $key );
+
+	if ( $count >= RATE_LIMIT ) {
+		return true;
+	}
+
+	\set_transient( $key, $count + 1, MINUTE_IN_SECONDS );
+
+	return false;
+}
+
+/**
+ * Take the lock on the stored counts
+ *
+ * The counts are read, changed and written back as one option, so concurrent
+ * requests would overwrite each other's counts without it. INSERT IGNORE only
+ * succeeds for the request that creates the lock row.
+ *
+ * @return bool Whether the lock was taken within about half a second
+ */
+function acquire_lock(): bool {
+	global $wpdb;
+
+	for ( $attempt = 0; $attempt < 10; $attempt++ ) {
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery -- Atomic lock, must not be cached
+		$inserted = $wpdb->query(
+			$wpdb->prepare(
+				"INSERT IGNORE INTO {$wpdb->options} ( option_name, option_value, autoload ) VALUES ( %s, %s, 'no' )",
+				LOCK_NAME,
+				(string) \time()
+			)
+		);
+
+		if ( $inserted ) {
+			return true;
+		}
+
+		// Clear a lock left behind by a request that failed
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery -- Atomic lock, must not be cached
+		$locked_at = (int) $wpdb->get_var(
+			$wpdb->prepare( "SELECT option_value FROM {$wpdb->options} WHERE option_name = %s", LOCK_NAME )
+		);
+
+		if ( $locked_at && $locked_at < \time() - LOCK_TIMEOUT ) {
+			release_lock();
+			continue;
+		}
+
+		\usleep( 50000 );
+	}
+
+	return false;
+}
+
+/**
+ * Release the lock on the stored counts
+ */
+function release_lock(): void {
+	global $wpdb;
+
+	// phpcs:ignore WordPress.DB.DirectDatabaseQuery -- Atomic lock, must not be cached
+	$wpdb->delete( $wpdb->options, [ 'option_name' => LOCK_NAME ] );
+}
+
+/**
+ * Record an event in the aggregate counts
+ *
+ * @param string $name       Event name
+ * @param string $term       Searched term or filter selection
+ * @param bool   $no_results Whether the search or filter returned nothing
+ * @return bool Whether the event was recorded
+ */
+function record_event( string $name, string $term, bool $no_results ): bool {
+	if ( ! isset( get_event_types()[ $name ] ) ) {
+		return false;
+	}
+
+	$term = normalize_term( $term );
+	if ( '' === $term ) {
+		return false;
+	}
+
+	if ( ! acquire_lock() ) {
+		return false;
+	}
+
+	try {
+		return update_counts( $name, $term, $no_results );
+	} finally {
+		release_lock();
+	}
+}
+
+/**
+ * Add an event to the stored counts, called while holding the lock
+ *
+ * @param string $name       Event name
+ * @param string $term       Normalized term
+ * @param bool   $no_results Whether the search or filter returned nothing
+ * @return bool Whether the counts were saved
+ */
+function update_counts( string $name, string $term, bool $no_results ): bool {
+	// Read the counts another request may have just saved, not this request's cached copy
+	\wp_cache_delete( OPTION_NAME, 'options' );
+
+	$events = \get_option( OPTION_NAME, [] );
+	$terms  = $events[ $name ] ?? [];
+
+	// Make room for a new term by dropping the least used one, so new terms are always recorded
+	if ( ! isset( $terms[ $term ] ) && \count( $terms ) >= MAX_TERMS ) {
+		$least_used = null;
+		foreach ( $terms as $key => $stored ) {
+			if ( null === $least_used || $stored['count'] < $terms[ $least_used ]['count'] ) {
+				$least_used = $key;
+			}
+		}
+		unset( $terms[ $least_used ] );
+	}
+
+	$counts = $terms[ $term ] ?? [ 'count' => 0, 'no_results' => 0 ];
+
+	$counts['count']++;
+	if ( $no_results ) {
+		$counts['no_results']++;
+	}
+
+	$terms[ $term ]  = $counts;
+	$events[ $name ] = $terms;
+
+	return \update_option( OPTION_NAME, $events, false );
+}
+
+/**
+ * Register the event collection endpoint
+ *
+ * POST /wp-json/eightyfourem/v1/events with name and data[...] fields, sent
+ * by navigator.sendBeacon() as form data. Visitors are anonymous and pages may
+ * be served from a full-page cache, so there is no nonce: the endpoint only
+ * adds to counts and is limited to RATE_LIMIT requests a minute per visitor.
+ */
+\add_action(
+	hook_name: 'rest_api_init',
+	callback: function (): void {
+		\register_rest_route(
+			'eightyfourem/v1',
+			'/events',
+			[
+				'methods'             => 'POST',
+				'permission_callback' => function (): bool|\WP_Error {
+					if ( is_rate_limited() ) {
+						return new \WP_Error( 'rest_too_many_requests', 'Too many events, try again later.', [ 'status' => 429 ] );
+					}
+
+					return true;
+				},
+				'args'                => [
+					'name' => [
+						'type'     => 'string',
+						'required' => true,
+						'enum'     => \array_keys( get_event_types() ),
+					],
+					'data' => [
+						'type'                 => 'object',
+						'default'              => [],
+						'properties'           => [
+							'set'     => [ 'type' => 'string' ],
+							'query'   => [ 'type' => 'string' ],
+							'filters' => [ 'type' => 'string' ],
+							'mode'    => [ 'type' => 'string' ],
+							'sort'    => [ 'type' => 'string' ],
+							'types'   => [ 'type' => 'string' ],
+							'results' => [ 'type' => 'integer' ],
+						],
+						'additionalProperties' => false,
+					],
+				],
+				'callback'            => function ( \WP_REST_Request $request ): \WP_REST_Response {
+					$name  = $request->get_param( 'name' );
+					$data  = (array) $request->get_param( 'data' );
+					$field = get_event_types()[ $name ]['field'];
+
+					$recorded = record_event(
+						$name,
+						(string) ( $data[ $field ] ?? '' ),
+						isset( $data['results'] ) && 0 === (int) $data['results']
+					);
+
+					return new \WP_REST_Response( null, $recorded ? 204 : 202 );
+				},
+			]
+		);
+	}
+);
+
+/**
+ * Pass the endpoint and sinks to the dispatcher script
+ */
+\add_action(
+	hook_name: 'wp_enqueue_scripts',
+	callback: function (): void {
+		\wp_localize_script(
+			handle: 'eightyfourem-analytics',
+			object_name: 'eightyfouremAnalytics',
+			l10n: [
+				'endpoint' => \rest_url( 'eightyfourem/v1/events' ),
+				'sinks'    => get_sinks(),
+			]
+		);
+	},
+	priority: 20 // Run after the script is enqueued
+);
+
+/**
+ * Add the Search Insights page under Tools
+ */
+\add_action(
+	hook_name: 'admin_menu',
+	callback: function (): void {
+		\add_management_page(
+			page_title: 'Search Insights',
+			menu_title: 'Search Insights',
+			capability: 'manage_options',
+			menu_slug: 'eightyfourem-search-insights',
+			callback: 'EightyFourEM\Analytics\render_insights_page'
+		);
+	}
+);
+
+/**
+ * Render the Search Insights page
+ *
+ * Lists the most used terms per event and the searches that returned nothing.
+ */
+function render_insights_page(): void {
+	if ( isset( $_POST['eightyfourem_clear_analytics'] ) && \check_admin_referer( 'eightyfourem_clear_analytics' ) ) {
+		\delete_option( OPTION_NAME );
+		echo '<div class="notice notice-success"><p>Search insights cleared.</p></div>';
+	}
+
+	$events = \get_option( OPTION_NAME, [] );
+	?>
+	<div class="wrap">
+		<h1>Search Insights</h1>
+		<p>Aggregate counts of filter selections and searches. Terms are stored without any visitor information.</p>
+
+		<?php foreach ( get_event_types() as $name => $type ) : ?>
+			<?php
+			$terms = $events[ $name ] ?? [];
+			\uasort(
+				$terms,
+				function ( array $a, array $b ): int {
+					return [ $b['no_results'], $b['count'] ] <=> [ $a['no_results'], $a['count'] ];
+				}
+			);
+			?>
+			<h2><?php echo \esc_html( $type['label'] ); ?></h2>
+			<?php if ( ! $terms ) : ?>
+				<p>No events recorded yet.</p>
+			<?php else : ?>
+				<table class="widefat striped">
+					<thead>
+						<tr>
+							<th>Term</th>
+							<th>Count</th>
+							<th>No results</th>
+						</tr>
+					</thead>
+					<tbody>
+						<?php foreach ( \array_slice( $terms, 0, 50, true ) as $term => $counts ) : ?>
+							<tr>
+								<td><?php echo \esc_html( (string) $term ); ?></td>
+								<td><?php echo \esc_html( (string) $counts['count'] ); ?></td>
+								<td><?php echo \esc_html( (string) $counts['no_results'] ); ?></td>
+							</tr>
+						<?php endforeach; ?>
+					</tbody>
+				</table>
+			<?php endif; ?>
+		<?php endforeach; ?>
+
+		<form method="post">
+			<?php \wp_nonce_field( 'eightyfourem_clear_analytics' ); ?>
+			<?php \submit_button( 'Clear search insights', 'delete', 'eightyfourem_clear_analytics' ); ?>
+		</form>
+	</div>
+	<?php
+}
@@ -2,6 +2,7 @@
 /**
  * Case Study Filters Configuration
  * Manages filter buttons and keywords for the case studies page
+ * Rendering and client-side filtering are handled by includes/query-filter.php
  *
  * @package EightyFourEM
  */
@@ -71,29 +72,7 @@ function get_filters(): array {
  * @return array Filter category keys that match this case study
  */
 function get_case_study_categories( int $post_id ): array {
-	$post = \get_post( $post_id );
-	if ( ! $post ) {
-		return [];
-	}
-
-	$search_text        = \strtolower( $post->post_title . ' ' . $post->post_content );
-	$filters            = get_filters();
-	$matched_categories = [];
-
-	foreach ( $filters as $key => $filter ) {
-		if ( 'all' === $key || empty( $filter['keywords'] ) ) {
-			continue;
-		}
-
-		foreach ( $filter['keywords'] as $keyword ) {
-			if ( false !== \strpos( $search_text, \strtolower( $keyword ) ) ) {
-				$matched_categories[] = $key;
-				break;
-			}
-		}
-	}
-
-	return $matched_categories;
+	return \EightyFourEM\QueryFilter\get_post_categories( $post_id, get_filters() );
 }
 
 /**
@@ -102,45 +81,29 @@ function get_case_study_categories( int $post_id ): array {
  * @return string HTML output
  */
 function render_filters(): string {
-    $filters = get_filters();
-
-    \ob_start();
-    ?>
-    <div class="case-study-filters">
-        <div class="case-study-filter-buttons">
-            <?php foreach ( $filters as $key => $filter ) : ?>
-                <button class="case-study-filter-btn <?php echo $key === 'all' ? 'is-active' : ''; ?>" data-filter="<?php echo \esc_attr( $key ); ?>">
-                    <?php echo \esc_html( $filter['label'] ); ?>
-                </button>
-            <?php endforeach; ?>
-        </div>
-        <div class="case-study-result-count"></div>
-    </div>
-    <?php
-    return \ob_get_clean();
+	return \EightyFourEM\QueryFilter\render( 'case-studies' );
 }
 
 // Register shortcode
 \add_shortcode( 'case_study_filters', 'EightyFourEM\CaseStudyFilters\render_filters' );
 
 /**
- * Localize filter keywords to JavaScript
+ * Register the case study filter set with the query filter
+ *
+ * Every Query Loop on the case studies page uses this set.
  */
-\add_action( 'wp_enqueue_scripts', function () {
-    if ( \is_page( 4406 ) ) {
-        $filters  = get_filters();
-        $keywords = [];
+\add_filter(
+	hook_name: 'eightyfourem_query_filter_sets',
+	callback: function ( array $sets ): array {
+		$sets['case-studies'] = [
+			'filters'    => get_filters(),
+			'singular'   => 'case study',
+			'plural'     => 'case studies',
+			'pages'      => [ 4406 ],
+			'categorize' => __NAMESPACE__ . '\get_case_study_categories',
+			'batch_size' => \apply_filters( 'eightyfourem_case_study_batch_size', 12 ),
+		];
 
-        foreach ( $filters as $key => $filter ) {
-            if ( ! empty( $filter['keywords'] ) ) {
-                $keywords[ $key ] = $filter['keywords'];
-            }
-        }
-
-        \wp_localize_script(
-                'eightyfourem-case-study-filter',
-                'caseStudyFilters',
-                $keywords
-        );
-    }
-}, 20 ); // Priority 20 to run after script is enqueued
+		return $sets;
+	}
+);
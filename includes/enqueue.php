@@ -63,6 +63,17 @@ defined( 'ABSPATH' ) || exit;
             ver: $version
 		);
 
+		// Enqueue shared scroll-to-target service (anchor links, sticky offsets, scrolled-to event)
+		\wp_enqueue_script(
+			handle: 'eightyfourem-scroll-to',
+			src: \get_theme_file_uri( "assets/js/scroll-to{$suffix}.js" ),
+			ver: $version,
+			args: [
+				'strategy' => 'defer',
+				'in_footer' => true,
+			]
+		);
+
 		// Enqueue sticky header JavaScript (defer for better performance)
         \wp_enqueue_script(
             handle: 'eightyfourem-sticky-header',
@@ -93,6 +104,17 @@ defined( 'ABSPATH' ) || exit;
             media: 'print'
         );
 
+		// Enqueue analytics event dispatcher (configured in includes/analytics.php)
+		\wp_enqueue_script(
+			handle: 'eightyfourem-analytics',
+			src: \get_theme_file_uri( "assets/js/analytics{$suffix}.js" ),
+			ver: $version,
+			args: [
+				'strategy' => 'defer',
+				'in_footer' => true,
+			]
+		);
+
 		// Enqueue modal search CSS (non-critical, load async via media print)
 		\wp_enqueue_style(
 			handle: 'eightyfourem-modal-search',
@@ -172,28 +194,25 @@ defined( 'ABSPATH' ) || exit;
 );
 
 /**
- * Enqueue case study filter assets
- * Only loads on case studies page (ID: 4406)
+ * Register query filter assets
+ * Enqueued by the filter bar when it renders (see includes/query-filter.php)
  */
 \add_action(
 	hook_name: 'wp_enqueue_scripts',
 	callback: function () {
-		if ( ! \is_page( 4406 ) ) {
-			return;
-		}
-
 		$suffix  = ( ! \defined( 'WP_DEBUG' ) || ! WP_DEBUG ) ? '.min' : '';
 		$version = \wp_get_theme()->get( 'Version' );
 
-		\wp_enqueue_style(
-			handle: 'eightyfourem-case-study-filter',
-			src: \get_theme_file_uri( "assets/css/case-study-filter{$suffix}.css" ),
+		\wp_register_style(
+			handle: 'eightyfourem-query-filter',
+			src: \get_theme_file_uri( "assets/css/query-filter{$suffix}.css" ),
 			ver: $version
 		);
 
-        \wp_enqueue_script(
-			handle: 'eightyfourem-case-study-filter',
-            src: \get_theme_file_uri( "assets/js/case-study-filter{$suffix}.js" ),
+		\wp_register_script(
+			handle: 'eightyfourem-query-filter',
+			src: \get_theme_file_uri( "assets/js/query-filter{$suffix}.js" ),
+			deps: [ 'eightyfourem-scroll-to' ],
 			ver: $version,
 			args: [
 				'strategy' => 'defer',
@@ -205,12 +224,16 @@ defined( 'ABSPATH' ) || exit;
 
 /**
  * Enqueue FAQ search assets
- * Only loads on FAQ page (ID: 6908)
+ * Loads on the FAQ page (ID: 6908) and on any singular page whose content
+ * contains a FAQ search container (faq-searchable class or data-faq-search)
  */
 \add_action(
 	hook_name: 'wp_enqueue_scripts',
 	callback: function () {
-		if ( ! \is_page( 6908 ) ) {
+		$content       = \is_singular() ? (string) \get_post_field( 'post_content', \get_queried_object_id() ) : '';
+		$has_container = \str_contains( $content, 'faq-searchable' ) || \str_contains( $content, 'data-faq-search' );
+
+		if ( ! \is_page( 6908 ) && ! $has_container ) {
 			return;
 		}
 
@@ -226,6 +249,7 @@ defined( 'ABSPATH' ) || exit;
 		\wp_enqueue_script(
 			handle: 'eightyfourem-faq-search',
 			src: \get_theme_file_uri( "assets/js/faq-search{$suffix}.js" ),
+			deps: [ 'eightyfourem-scroll-to' ],
 			ver: $version,
 			args: [
 				'strategy' => 'defer',
@@ -235,6 +259,41 @@ defined( 'ABSPATH' ) || exit;
 	}
 );
 
+/**
+ * Print the FAQ entries the FAQ search builds its index from
+ * Uses the same accordion data as the FAQPage schema (includes/schema.php),
+ * so search, schema and question permalinks agree
+ */
+\add_action(
+	hook_name: 'wp_footer',
+	callback: function () {
+		if ( ! \is_singular() || ! \wp_script_is( 'eightyfourem-faq-search' ) ) {
+			return;
+		}
+
+		$entries = [];
+		foreach ( extract_faqs_from_accordion( \get_queried_object_id() ) as $faq ) {
+			$entries[] = [
+				'id'       => $faq['id'],
+				'question' => \html_entity_decode( $faq['question'], \ENT_QUOTES | \ENT_HTML5, 'UTF-8' ),
+				'answer'   => $faq['text'],
+				'section'  => $faq['section'],
+			];
+		}
+
+		if ( ! $entries ) {
+			return;
+		}
+
+		// JSON_HEX_TAG keeps "</script>" in an answer from closing the tag
+		\printf(
+			'<script type="application/json" id="faq-search-data">%s</script>' . "\n",
+			\wp_json_encode( $entries, \JSON_HEX_TAG | \JSON_UNESCAPED_UNICODE )
+		);
+	},
+	priority: 5 // Run before footer scripts are printed
+);
+
 /**
  * Enqueue related case studies styles
  * Only loads on single case study pages
@@ -282,6 +341,24 @@ defined( 'ABSPATH' ) || exit;
 	}
 );
 
+/**
+ * Add body class for the smart header on specific pages
+ * The header slides away while scrolling down and returns when scrolling up
+ */
+\add_filter(
+	hook_name: 'body_class',
+	callback: function ( array $classes ): array {
+		// Pages where the header hides on scroll (page IDs)
+		$smart_header_pages = \apply_filters( 'eightyfourem_smart_header_pages', [] );
+
+		if ( $smart_header_pages && \is_page( $smart_header_pages ) ) {
+			$classes[] = 'smart-header';
+		}
+
+		return $classes;
+	}
+);
+
 /**
  * Enqueue sitemap styles
  * Only loads on sitemap page (ID: 6964)
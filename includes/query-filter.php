@@ -0,0 +1,346 @@
+<?php
+/**
+ * Query Filter
+ * Reusable filter bar for Query Loop posts (case studies, blog archive, services)
+ *
+ * Filter sets are registered through the `eightyfourem_query_filter_sets` filter.
+ * A Query Loop opts into a set by adding the `query-filter-{set}` class to the
+ * Query Loop block (Advanced > Additional CSS class), or automatically on the
+ * pages listed in the set's `pages` config. The filter bar is rendered with the
+ * [query_filter set="..."] shortcode.
+ *
+ * @package EightyFourEM
+ */
+
+namespace EightyFourEM\QueryFilter;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Get all registered filter sets
+ *
+ * Each set supports:
+ * - filters:    Filter configurations keyed by filter key, each with label and keywords
+ * - singular:   Item name used in messages (e.g. "case study")
+ * - plural:     Plural item name used in messages (e.g. "case studies")
+ * - pages:      Page IDs where every Query Loop uses this set without opting in
+ * - categorize: Callable returning filter keys for a post ID (defaults to keyword matching)
+ * - batch_size: Number of items shown per "Show more" batch
+ *
+ * @return array Filter set configurations keyed by set key
+ */
+function get_filter_sets(): array {
+	return \apply_filters( 'eightyfourem_query_filter_sets', [] );
+}
+
+/**
+ * Get a single filter set with defaults applied
+ *
+ * @param string $key Filter set key
+ * @return array|null Filter set configuration, or null if not registered
+ */
+function get_filter_set( string $key ): ?array {
+	$sets = get_filter_sets();
+
+	if ( ! isset( $sets[ $key ] ) ) {
+		return null;
+	}
+
+	return \wp_parse_args(
+		$sets[ $key ],
+		[
+			'filters'    => [],
+			'singular'   => 'result',
+			'plural'     => 'results',
+			'pages'      => [],
+			'categorize' => null,
+			'batch_size' => 12,
+		]
+	);
+}
+
+/**
+ * Get sort options for filtered grids
+ *
+ * The first option is the default sort order. "Featured" keeps the order
+ * the Query Loop is set to in the editor, so editors choose what comes first.
+ *
+ * @return array Sort option labels keyed by sort value
+ */
+function get_sort_options(): array {
+	return [
+		'featured'  => 'Featured',
+		'newest'    => 'Newest',
+		'oldest'    => 'Oldest',
+		'title'     => 'A–Z',
+		'relevance' => 'Most relevant',
+	];
+}
+
+/**
+ * Check if a keyword appears in text as a whole word
+ *
+ * Keywords must start and end on word boundaries so short keywords such as
+ * "ai" or "ads" don't match inside unrelated words ("maintained", "loads").
+ * A trailing plural "s" is allowed so "integration" still matches "integrations".
+ *
+ * @param string $text    Lowercased text to search
+ * @param string $keyword Keyword to look for
+ * @return bool Whether the keyword was found
+ */
+function keyword_matches( string $text, string $keyword ): bool {
+	$pattern = '/(?<![a-z0-9])' . \preg_quote( \strtolower( $keyword ), '/' ) . 's?(?![a-z0-9])/u';
+
+	return 1 === \preg_match( $pattern, $text );
+}
+
+/**
+ * Get filter categories for a post based on keyword matching
+ *
+ * @param int   $post_id Post ID
+ * @param array $filters Filter configurations with keywords
+ * @return array Filter keys that match this post
+ */
+function get_post_categories( int $post_id, array $filters ): array {
+	$post = \get_post( $post_id );
+	if ( ! $post ) {
+		return [];
+	}
+
+	$search_text        = \strtolower( $post->post_title . ' ' . $post->post_content );
+	$matched_categories = [];
+
+	foreach ( $filters as $key => $filter ) {
+		if ( 'all' === $key || empty( $filter['keywords'] ) ) {
+			continue;
+		}
+
+		foreach ( $filter['keywords'] as $keyword ) {
+			if ( keyword_matches( $search_text, $keyword ) ) {
+				$matched_categories[] = $key;
+				break;
+			}
+		}
+	}
+
+	return $matched_categories;
+}
+
+/**
+ * Get the filter set a Query Loop block has opted into
+ *
+ * @param array $block Parsed Query Loop block
+ * @return string|null Filter set key, or null if the block isn't filterable
+ */
+function get_block_filter_set( array $block ): ?string {
+	$sets       = get_filter_sets();
+	$class_name = $block['attrs']['className'] ?? '';
+
+	foreach ( \array_keys( $sets ) as $key ) {
+		if ( \in_array( 'query-filter-' . $key, \preg_split( '/\s+/', $class_name ), true ) ) {
+			return $key;
+		}
+	}
+
+	foreach ( $sets as $key => $set ) {
+		if ( ! empty( $set['pages'] ) && \is_page( $set['pages'] ) ) {
+			return $key;
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Render a filter bar
+ *
+ * @param string $set_key Filter set key
+ * @param array  $args {
+ *     Optional. Per-instance settings.
+ *
+ *     @type string $target     Selector for the Query Loop to filter.
+ *     @type string $counter    Selector for an external result counter.
+ *     @type int    $offset     Space in pixels left above the first result when scrolling.
+ *     @type int    $batch_size Number of items shown per "Show more" batch.
+ *     @type bool   $url_state  Whether to store the state in the URL.
+ * }
+ * @return string HTML output
+ */
+function render( string $set_key, array $args = [] ): string {
+	$set = get_filter_set( $set_key );
+	if ( ! $set ) {
+		return '';
+	}
+
+	\wp_enqueue_style( 'eightyfourem-query-filter' );
+	\wp_enqueue_script( 'eightyfourem-query-filter' );
+
+	$args = \wp_parse_args(
+		$args,
+		[
+			'target'     => '',
+			'counter'    => '',
+			'offset'     => 20,
+			'batch_size' => $set['batch_size'],
+			'url_state'  => true,
+		]
+	);
+
+	$filters      = $set['filters'];
+	$sort_options = get_sort_options();
+	$search_id    = \wp_unique_id( 'query-filter-search-' );
+	$sort_id      = \wp_unique_id( 'query-filter-sort-' );
+
+	// Keyword map for the client-side fallback matching
+	$keywords = [];
+	foreach ( $filters as $key => $filter ) {
+		if ( ! empty( $filter['keywords'] ) ) {
+			$keywords[ $key ] = $filter['keywords'];
+		}
+	}
+
+	// "All" clears the selection, so always render it first
+	$all_label = $filters['all']['label'] ?? 'All';
+	unset( $filters['all'] );
+
+	$attributes = [
+		'class'               => 'query-filter',
+		'data-query-filter'   => $set_key,
+		'data-filters'        => \wp_json_encode( $keywords ),
+		'data-label-singular' => $set['singular'],
+		'data-label-plural'   => $set['plural'],
+		'data-batch-size'     => (string) (int) $args['batch_size'],
+		'data-scroll-offset'  => (string) (int) $args['offset'],
+	];
+
+	if ( $args['target'] ) {
+		$attributes['data-target'] = $args['target'];
+	}
+
+	if ( $args['counter'] ) {
+		$attributes['data-counter'] = $args['counter'];
+	}
+
+	if ( ! $args['url_state'] ) {
+		$attributes['data-url-state'] = 'false';
+	}
+
+	$attribute_html = '';
+	foreach ( $attributes as $name => $value ) {
+		$attribute_html .= \sprintf( ' %s="%s"', $name, \esc_attr( $value ) );
+	}
+
+	\ob_start();
+	?>
+    <div<?php echo $attribute_html; ?>>
+        <div class="query-filter__search">
+            <label for="<?php echo \esc_attr( $search_id ); ?>" class="query-filter__search-label">Search <?php echo \esc_html( $set['plural'] ); ?></label>
+            <input type="search" id="<?php echo \esc_attr( $search_id ); ?>" class="query-filter__search-input" data-filter-search placeholder="Search <?php echo \esc_attr( $set['plural'] ); ?>..." autocomplete="off" />
+        </div>
+        <div class="query-filter__buttons" role="toolbar" aria-label="Filter <?php echo \esc_attr( $set['plural'] ); ?>" data-filter-buttons>
+            <button type="button" class="query-filter__btn is-active" data-filter="all" aria-pressed="true">
+                <span class="query-filter__btn-label" data-filter-label><?php echo \esc_html( $all_label ); ?></span>
+                <span class="query-filter__btn-count" data-filter-count aria-hidden="true"></span>
+            </button>
+            <?php foreach ( $filters as $key => $filter ) : ?>
+                <button type="button" class="query-filter__btn" data-filter="<?php echo \esc_attr( $key ); ?>" aria-pressed="false" tabindex="-1">
+                    <span class="query-filter__btn-label" data-filter-label><?php echo \esc_html( $filter['label'] ); ?></span>
+                    <span class="query-filter__btn-count" data-filter-count aria-hidden="true"></span>
+                </button>
+            <?php endforeach; ?>
+        </div>
+        <div class="query-filter__controls">
+            <div class="query-filter__mode" role="group" aria-label="Match filters">
+                <span class="query-filter__mode-label">Match:</span>
+                <button type="button" class="query-filter__mode-btn is-active" data-filter-mode="or" aria-pressed="true">Any</button>
+                <button type="button" class="query-filter__mode-btn" data-filter-mode="and" aria-pressed="false">All</button>
+            </div>
+            <div class="query-filter__sort">
+                <label for="<?php echo \esc_attr( $sort_id ); ?>" class="query-filter__sort-label">Sort:</label>
+                <select id="<?php echo \esc_attr( $sort_id ); ?>" class="query-filter__sort-select" data-filter-sort>
+                    <?php foreach ( $sort_options as $value => $label ) : ?>
+                        <option value="<?php echo \esc_attr( $value ); ?>"><?php echo \esc_html( $label ); ?></option>
+                    <?php endforeach; ?>
+                </select>
+            </div>
+        </div>
+        <div class="query-filter__chips" data-filter-chips hidden></div>
+        <div class="query-filter__count" data-filter-counter role="status" aria-live="polite" aria-atomic="true"></div>
+    </div>
+	<?php
+	return \ob_get_clean();
+}
+
+/**
+ * Filter bar shortcode
+ *
+ * Usage: [query_filter set="case-studies" target=".my-query" offset="20" batch_size="12" url_state="true"]
+ */
+\add_shortcode(
+	tag: 'query_filter',
+	callback: function ( $atts ): string {
+		$atts = \shortcode_atts(
+			[
+				'set'        => '',
+				'target'     => '',
+				'counter'    => '',
+				'offset'     => 20,
+				'batch_size' => 0,
+				'url_state'  => 'true',
+			],
+			$atts,
+			'query_filter'
+		);
+
+		$args = [
+			'target'    => \sanitize_text_field( $atts['target'] ),
+			'counter'   => \sanitize_text_field( $atts['counter'] ),
+			'offset'    => (int) $atts['offset'],
+			'url_state' => 'false' !== $atts['url_state'],
+		];
+
+		if ( (int) $atts['batch_size'] > 0 ) {
+			$args['batch_size'] = (int) $atts['batch_size'];
+		}
+
+		return render( \sanitize_key( $atts['set'] ), $args );
+	}
+);
+
+/**
+ * Tag opted-in Query Loop posts with their filter categories and publish date
+ *
+ * Adds data-categories and data-date attributes to each post so the client-side
+ * filter can match exact categories instead of keywords and sort by date.
+ */
+\add_filter(
+	hook_name: 'render_block_core/query',
+	callback: function ( string $block_content, array $block ): string {
+		$set_key = get_block_filter_set( $block );
+		if ( null === $set_key ) {
+			return $block_content;
+		}
+
+		$set       = get_filter_set( $set_key );
+		$processor = new \WP_HTML_Tag_Processor( $block_content );
+
+		while ( $processor->next_tag( [ 'tag_name' => 'li', 'class_name' => 'wp-block-post' ] ) ) {
+			$class = (string) $processor->get_attribute( 'class' );
+
+			if ( ! \preg_match( '/\bpost-(\d+)\b/', $class, $matches ) ) {
+				continue;
+			}
+
+			$post_id    = (int) $matches[1];
+			$categories = \is_callable( $set['categorize'] )
+				? \call_user_func( $set['categorize'], $post_id )
+				: get_post_categories( $post_id, $set['filters'] );
+
+			$processor->set_attribute( 'data-categories', \implode( ' ', $categories ) );
+			$processor->set_attribute( 'data-date', (string) \get_post_time( 'U', true, $post_id ) );
+		}
+
+		return $processor->get_updated_html();
+	},
+	accepted_args: 2
+);
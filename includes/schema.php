@@ -34,14 +34,46 @@ namespace EightyFourEM;
 
 defined( 'ABSPATH' ) || exit;
 
+/**
+ * Generate the permalink anchor for a FAQ question.
+ *
+ * Mirrors generateId() in assets/js/faq-search.js: "faq-" followed by the first
+ * eight words of the question, with -2, -3 suffixes for duplicates.
+ *
+ * @param string $question The question text.
+ * @param array  $used_ids Anchors already used on the page.
+ *
+ * @return string The anchor, without the leading #.
+ */
+function get_faq_anchor( string $question, array $used_ids ): string {
+	$text = \remove_accents( \html_entity_decode( $question, \ENT_QUOTES | \ENT_HTML5, 'UTF-8' ) );
+	$text = \preg_replace( "/['\x{2019}]/u", '', \strtolower( $text ) );
+	$text = \trim( \preg_replace( '/[^a-z0-9]+/', ' ', $text ) );
+
+	$words     = \array_slice( \array_filter( \explode( ' ', $text ) ), 0, 8 );
+	$base      = 'faq-' . ( $words ? \implode( '-', $words ) : 'question' );
+	$candidate = $base;
+	$suffix    = 2;
+
+	while ( \in_array( $candidate, $used_ids, true ) ) {
+		$candidate = $base . '-' . $suffix;
+		$suffix++;
+	}
+
+	return $candidate;
+}
+
 /**
  * Extract FAQ items from WordPress core accordion blocks.
  *
  * Parses page content to find accordion blocks and extracts question/answer pairs.
+ * The same entries feed the FAQPage schema and the FAQ search data printed in
+ * includes/enqueue.php, so search, schema and question permalinks agree.
  *
  * @param int $page_id The page ID containing accordion blocks.
  *
- * @return array Array of FAQ data with keys: question, answer.
+ * @return array Array of FAQ data with keys: question, answer (HTML for schema),
+ *               text (plain answer text), section (preceding H2 heading) and id (permalink anchor).
  */
 function extract_faqs_from_accordion( int $page_id ): array {
 	$page = \get_post( $page_id );
@@ -49,16 +81,29 @@ function extract_faqs_from_accordion( int $page_id ): array {
 		return [];
 	}
 
-	$faqs    = [];
-	$content = $page->post_content;
+	$faqs     = [];
+	$used_ids = [];
+	$content  = $page->post_content;
 
-	// Match each accordion-item block.
-	$item_pattern = '/<!-- wp:accordion-item -->(.*?)<!-- \/wp:accordion-item -->/s';
-	if ( ! \preg_match_all( $item_pattern, $content, $items ) ) {
+	// Match each accordion-item block, with or without block attributes.
+	$item_pattern = '/<!-- wp:accordion-item(?: \{.*?\})? -->(.*?)<!-- \/wp:accordion-item -->/s';
+	if ( ! \preg_match_all( $item_pattern, $content, $items, \PREG_OFFSET_CAPTURE ) ) {
 		return [];
 	}
 
-	foreach ( $items[1] as $item ) {
+	// H2 headings start FAQ sections, matching the sections of the FAQ search.
+	\preg_match_all( '/<!-- wp:heading(?: \{.*?\})? -->\s*<h2[^>]*>(.*?)<\/h2>/s', $content, $headings, \PREG_OFFSET_CAPTURE );
+
+	foreach ( $items[1] as list( $item, $offset ) ) {
+		// Find the last section heading before this item.
+		$section = '';
+		foreach ( $headings[1] ?? [] as list( $heading, $heading_offset ) ) {
+			if ( $heading_offset > $offset ) {
+				break;
+			}
+			$section = \trim( \html_entity_decode( \wp_strip_all_tags( $heading ), \ENT_QUOTES | \ENT_HTML5, 'UTF-8' ) );
+		}
+
 		// Extract question from accordion-heading toggle-title span.
 		$question = '';
 		if ( \preg_match( '/wp-block-accordion-heading__toggle-title["\']?>([^<]+)</s', $item, $q_match ) ) {
@@ -67,6 +112,7 @@ function extract_faqs_from_accordion( int $page_id ): array {
 
 		// Extract answer from accordion-panel content.
 		$answer = '';
+		$text   = '';
 		if ( \preg_match( '/<!-- wp:accordion-panel -->(.*?)<!-- \/wp:accordion-panel -->/s', $item, $panel_match ) ) {
 			// Get the inner HTML content, strip block comments but keep HTML structure.
 			$panel_content = $panel_match[1];
@@ -78,6 +124,9 @@ function extract_faqs_from_accordion( int $page_id ): array {
 			$panel_content = \preg_replace( '/>\s+</', '><', $panel_content );
 			// Clean up but preserve allowed HTML tags per Google guidelines.
 			$answer = \trim( $panel_content );
+			// Plain text for search, keeping words in adjacent tags apart.
+			$text = \wp_strip_all_tags( \str_replace( '><', '> <', $answer ) );
+			$text = \trim( \preg_replace( '/\s+/u', ' ', \html_entity_decode( $text, \ENT_QUOTES | \ENT_HTML5, 'UTF-8' ) ) );
 		}
 
 		if ( ! empty( $question ) && ! empty( $answer ) ) {
@@ -92,9 +141,20 @@ function extract_faqs_from_accordion( int $page_id ): array {
 			);
 			// Convert remaining double quotes to HTML entities.
 			$answer = \str_replace( '"', '&quot;', $answer );
+
+			// Keep an anchor set in the editor, otherwise derive one from the question.
+			$id = \preg_match( '/^\s*<div[^>]*\sid="([^"]+)"/', $item, $id_match )
+				? $id_match[1]
+				: get_faq_anchor( $question, $used_ids );
+
+			$used_ids[] = $id;
+
 			$faqs[] = [
 				'question' => $question,
 				'answer'   => $answer,
+				'text'     => $text,
+				'section'  => $section,
+				'id'       => $id,
 			];
 		}
 	}
@@ -817,6 +877,7 @@ function extract_testimonials_from_page( int $page_id ): array {
                                 $questions[] = [
                                     '@type'          => 'Question',
                                     'name'           => $faq['question'],
+                                    'url'            => \get_permalink( $post_id ) . '#' . $faq['id'],
                                     'acceptedAnswer' => [
                                         '@type' => 'Answer',
                                         'text'  => $faq['answer'],
@@ -0,0 +1,187 @@
+<?php
+/**
+ * Search Suggestions
+ * Popular searches and quick links offered when the search modal opens
+ *
+ * Both lists are edited under Settings > Search Suggestions and passed to
+ * assets/js/modal-search.js, which shows them next to the visitor's recent
+ * searches (kept in their browser's localStorage, never sent to the server).
+ *
+ * @package EightyFourEM
+ */
+
+namespace EightyFourEM\SearchSuggestions;
+
+defined( 'ABSPATH' ) || exit;
+
+const OPTION_NAME = 'eightyfourem_search_suggestions';
+
+// Maximum number of popular searches and quick links shown
+const MAX_ITEMS = 8;
+
+/**
+ * Sanitize the settings form
+ *
+ * @param mixed $input Submitted settings
+ * @return array{popular: string, quick_links: string} Settings with one entry per line
+ */
+function sanitize_settings( $input ): array {
+	$input = \is_array( $input ) ? $input : [];
+
+	return [
+		'popular'     => \sanitize_textarea_field( $input['popular'] ?? '' ),
+		'quick_links' => \sanitize_textarea_field( $input['quick_links'] ?? '' ),
+	];
+}
+
+/**
+ * Split a textarea setting into its non-empty lines
+ *
+ * @param string $value Setting value
+ * @return array<string> Trimmed lines
+ */
+function get_lines( string $value ): array {
+	return \array_values( \array_filter( \array_map( 'trim', \explode( "\n", $value ) ) ) );
+}
+
+/**
+ * Get the configured popular searches and quick links
+ *
+ * Quick links are entered as "Label | URL"; relative URLs are resolved
+ * against the home URL and lines without a valid URL are skipped.
+ *
+ * @return array{popular: array<string>, quickLinks: array<int, array{label: string, url: string}>}
+ */
+function get_search_suggestions(): array {
+	$options = sanitize_settings( \get_option( OPTION_NAME, [] ) );
+
+	$popular = \array_slice( \array_unique( get_lines( $options['popular'] ) ), 0, MAX_ITEMS );
+
+	$quick_links = [];
+	foreach ( get_lines( $options['quick_links'] ) as $line ) {
+		$parts = \array_map( 'trim', \explode( '|', $line, 2 ) );
+
+		if ( \count( $parts ) !== 2 || '' === $parts[0] || '' === $parts[1] ) {
+			continue;
+		}
+
+		$url = \str_starts_with( $parts[1], '/' ) ? \home_url( $parts[1] ) : $parts[1];
+		$url = \esc_url_raw( $url, [ 'http', 'https' ] );
+
+		if ( '' === $url ) {
+			continue;
+		}
+
+		$quick_links[] = [
+			'label' => $parts[0],
+			'url'   => $url,
+		];
+	}
+
+	return [
+		'popular'    => $popular,
+		'quickLinks' => \array_slice( $quick_links, 0, MAX_ITEMS ),
+	];
+}
+
+/**
+ * Add the Search Suggestions page under Settings
+ */
+\add_action(
+	hook_name: 'admin_menu',
+	callback: function (): void {
+		\add_options_page(
+			page_title: 'Search Suggestions',
+			menu_title: 'Search Suggestions',
+			capability: 'manage_options',
+			menu_slug: 'eightyfourem-search-suggestions',
+			callback: 'EightyFourEM\SearchSuggestions\render_options_page'
+		);
+	}
+);
+
+/**
+ * Initialize settings
+ */
+\add_action(
+	hook_name: 'admin_init',
+	callback: function (): void {
+		\register_setting(
+			option_group: 'eightyfourem_search_suggestions',
+			option_name: OPTION_NAME,
+			args: [
+				'type'              => 'array',
+				'sanitize_callback' => 'EightyFourEM\SearchSuggestions\sanitize_settings',
+				'default'           => [],
+			]
+		);
+
+		\add_settings_section(
+			id: 'eightyfourem_search_suggestions_section',
+			title: 'Search Modal Suggestions',
+			callback: function (): void {
+				echo 'Shown when the search modal opens, before anything is typed. Tools &gt; Search Insights lists what visitors search for.';
+			},
+			page: 'eightyfourem_search_suggestions'
+		);
+
+		\add_settings_field(
+			id: 'popular',
+			title: 'Popular Searches',
+			callback: function (): void {
+				$options = sanitize_settings( \get_option( OPTION_NAME, [] ) );
+				?>
+				<textarea name='<?php echo \esc_attr( OPTION_NAME ); ?>[popular]' rows='6' class='large-text'><?php echo \esc_textarea( $options['popular'] ); ?></textarea>
+				<p class='description'>One search per line, e.g. <code>WordPress maintenance</code>. Up to <?php echo (int) MAX_ITEMS; ?> are shown.</p>
+				<?php
+			},
+			page: 'eightyfourem_search_suggestions',
+			section: 'eightyfourem_search_suggestions_section'
+		);
+
+		\add_settings_field(
+			id: 'quick_links',
+			title: 'Quick Links',
+			callback: function (): void {
+				$options = sanitize_settings( \get_option( OPTION_NAME, [] ) );
+				?>
+				<textarea name='<?php echo \esc_attr( OPTION_NAME ); ?>[quick_links]' rows='6' class='large-text'><?php echo \esc_textarea( $options['quick_links'] ); ?></textarea>
+				<p class='description'>One link per line as <code>Label | URL</code>, e.g. <code>Services | /services/</code>. Up to <?php echo (int) MAX_ITEMS; ?> are shown.</p>
+				<?php
+			},
+			page: 'eightyfourem_search_suggestions',
+			section: 'eightyfourem_search_suggestions_section'
+		);
+	}
+);
+
+/**
+ * Render the options page
+ */
+function render_options_page(): void {
+	?>
+	<form action='options.php' method='post'>
+		<h1>Search Suggestions</h1>
+		<?php
+		\settings_fields( 'eightyfourem_search_suggestions' );
+		\do_settings_sections( 'eightyfourem_search_suggestions' );
+		\submit_button();
+		?>
+	</form>
+	<?php
+}
+
+/**
+ * Pass the suggestions to the modal search script
+ */
+\add_action(
+	hook_name: 'wp_enqueue_scripts',
+	callback: function (): void {
+		\wp_localize_script(
+			handle: 'eightyfourem-modal-search',
+			object_name: 'eightyfouremSearchSuggestions',
+			l10n: get_search_suggestions()
+		);
+	},
+	priority: 20 // Run after the script is enqueued
+);
@@ -111,6 +111,116 @@ function get_posts_by_type_filter( string $type ): ?array {
 	return $post_ids;
 }
 
+/**
+ * Normalize the type filter parameter.
+ *
+ * @param mixed $type_param Array from type[] checkboxes or a single string (backward compatibility).
+ * @return array<string> Lowercased, non-empty type values.
+ */
+function get_type_filter_values( $type_param ): array {
+	if ( $type_param === null ) {
+		return [];
+	}
+
+	if ( \is_array( $type_param ) ) {
+		// Handle array from type[] checkboxes
+		$type_values = \array_map(
+			fn( $val ) => strtolower( trim( \sanitize_text_field( \wp_unslash( (string) $val ) ) ) ),
+			$type_param
+		);
+	} else {
+		// Handle single string value (backward compatibility)
+		$sanitized   = strtolower( trim( \sanitize_text_field( \wp_unslash( (string) $type_param ) ) ) );
+		$type_values = $sanitized !== '' ? [ $sanitized ] : [];
+	}
+
+	return \array_values( \array_filter( $type_values ) );
+}
+
+/**
+ * Get the query vars that restrict a search to the requested types.
+ *
+ * Shared by the search results page and the live search endpoint so both
+ * return the same pages.
+ *
+ * @param array<string> $type_values Normalized type values (see get_type_filter_values()).
+ * @return array<string, mixed> Query vars to set on the search query.
+ */
+function get_search_query_vars( array $type_values ): array {
+	$vars = [
+		'post_type' => [ 'page' ],
+	];
+
+	// Base exclusions - always exclude these pages
+	$excluded_posts = [ 2507, 4507 ];
+
+	if ( ! empty( $type_values ) ) {
+		$filters = get_search_type_filters();
+
+		// Filter to only valid types
+		$valid_types = array_filter( $type_values, fn( $t ) => isset( $filters[ $t ] ) );
+
+		if ( ! empty( $valid_types ) ) {
+			$all_post_ids      = [];
+			$include_page_type = false;
+
+			foreach ( $valid_types as $type_normalized ) {
+				$config = $filters[ $type_normalized ];
+
+				if ( $config['parent_id'] !== null ) {
+					// Service or Case Study - get matching post IDs
+					$post_ids = get_posts_by_type_filter( $type_normalized );
+					if ( ! empty( $post_ids ) ) {
+						$all_post_ids = array_merge( $all_post_ids, $post_ids );
+					}
+				} else {
+					// 'page' type requested
+					$include_page_type = true;
+				}
+			}
+
+			// Remove duplicates
+			$all_post_ids = array_unique( $all_post_ids );
+
+			// If we have specific post IDs (Service/Case Study) but NOT page type
+			if ( ! empty( $all_post_ids ) && ! $include_page_type ) {
+				$vars['post__in'] = $all_post_ids;
+			} elseif ( $include_page_type && empty( $all_post_ids ) ) {
+				// Only 'page' type selected - exclude Services and Case Studies
+				$vars['post_parent__not_in'] = [
+					SERVICES_PAGE_ID,
+					CASE_STUDIES_PAGE_ID,
+				];
+				$excluded_posts[] = SERVICES_PAGE_ID;
+				$excluded_posts[] = CASE_STUDIES_PAGE_ID;
+			}
+			// If both page type AND specific types are selected, don't filter by post__in
+			// (allows all valid results through)
+		}
+	}
+
+	$vars['post__not_in'] = $excluded_posts;
+
+	$vars['meta_query'] = [
+		'relation' => 'AND',
+		[
+			'key'     => '_local_page_state',
+			'compare' => 'NOT EXISTS',
+		],
+		[
+			'key'     => '_local_page_city',
+			'compare' => 'NOT EXISTS',
+		],
+		[
+			'key'     => '_84em_noindex',
+			'compare' => '!=',
+			'value'   => '1',
+		],
+	];
+
+	return $vars;
+}
+
 \add_filter(
 	hook_name: 'pre_get_posts',
 	callback: function ( \WP_Query $query ): void {
@@ -118,98 +228,139 @@ function get_posts_by_type_filter( string $type ): ?array {
 			return;
 		}
 
-		$query->set( 'post_type', [ 'page' ] );
-
-		// Base exclusions - always exclude these pages
-		$excluded_posts = [ 2507, 4507 ];
-
 		// Check for type filter parameter (supports array from checkboxes or single string)
 		// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Read-only filter parameter
-		$type_param = $_GET['type'] ?? null;
-
-		// Normalize to array of sanitized values
-		$type_values = [];
-		if ( $type_param !== null ) {
-			if ( \is_array( $type_param ) ) {
-				// Handle array from type[] checkboxes
-				$type_values = \array_map(
-					fn( $val ) => strtolower( trim( \sanitize_text_field( \wp_unslash( $val ) ) ) ),
-					$type_param
-				);
-			} else {
-				// Handle single string value (backward compatibility)
-				$sanitized   = strtolower( trim( \sanitize_text_field( \wp_unslash( $type_param ) ) ) );
-				$type_values = $sanitized !== '' ? [ $sanitized ] : [];
-			}
-			$type_values = \array_filter( $type_values );
+		$type_values = get_type_filter_values( $_GET['type'] ?? null );
+
+		foreach ( get_search_query_vars( $type_values ) as $key => $value ) {
+			$query->set( $key, $value );
 		}
+	}
+);
 
-		if ( ! empty( $type_values ) ) {
-			$filters = get_search_type_filters();
+/**
+ * Run a live search for the search modal.
+ *
+ * Uses Relevanssi when it's active, so its spell-corrected fallback
+ * (includes/relevanssi.php) applies, and a regular WP_Query otherwise.
+ *
+ * @param string        $search      Search terms.
+ * @param array<string> $type_values Normalized type values.
+ * @param int           $limit       Maximum number of results.
+ * @return array{results: array<int, array{id: int, title: string, url: string, type: string}>, corrected: string}
+ */
+function get_live_search_results( string $search, array $type_values, int $limit ): array {
+	global $relevanssi_dym_fallback;
+
+	$args = \array_merge(
+		get_search_query_vars( $type_values ),
+		[
+			's'                      => $search,
+			'posts_per_page'         => $limit,
+			'post_status'            => 'publish',
+			'no_found_rows'          => true,
+			'ignore_sticky_posts'    => true,
+			'update_post_term_cache' => false,
+		]
+	);
+
+	$relevanssi_dym_fallback = null;
+
+	if ( \function_exists( 'relevanssi_do_query' ) ) {
+		$query = new \WP_Query();
+		$query->parse_query( $args );
+		\relevanssi_do_query( $query );
+	} else {
+		$query = new \WP_Query( $args );
+	}
 
-			// Filter to only valid types
-			$valid_types = array_filter( $type_values, fn( $t ) => isset( $filters[ $t ] ) );
+	$results = [];
+	foreach ( $query->posts as $post ) {
+		$post = \get_post( $post );
+		if ( ! $post ) {
+			continue;
+		}
 
-			if ( ! empty( $valid_types ) ) {
-				$all_post_ids      = [];
-				$include_page_type = false;
+		$results[] = [
+			'id'    => $post->ID,
+			'title' => \html_entity_decode( \get_the_title( $post ), ENT_QUOTES, 'UTF-8' ),
+			'url'   => \get_permalink( $post ),
+			'type'  => get_post_type_indicator( $post ),
+		];
+	}
 
-				foreach ( $valid_types as $type_normalized ) {
-					$config = $filters[ $type_normalized ];
+	return [
+		'results'   => $results,
+		'corrected' => \is_string( $relevanssi_dym_fallback ) && $relevanssi_dym_fallback !== $search ? $relevanssi_dym_fallback : '',
+	];
+}
 
-					if ( $config['parent_id'] !== null ) {
-						// Service or Case Study - get matching post IDs
-						$post_ids = get_posts_by_type_filter( $type_normalized );
-						if ( ! empty( $post_ids ) ) {
-							$all_post_ids = array_merge( $all_post_ids, $post_ids );
-						}
-					} else {
-						// 'page' type requested
-						$include_page_type = true;
+/**
+ * Register the live search endpoint
+ *
+ * GET /wp-json/eightyfourem/v1/search?s=...&type[]=... returns up to 10 pages
+ * with their type label (Service, Case Study or Page).
+ */
+\add_action(
+	hook_name: 'rest_api_init',
+	callback: function (): void {
+		\register_rest_route(
+			'eightyfourem/v1',
+			'/search',
+			[
+				'methods'             => 'GET',
+				'permission_callback' => '__return_true',
+				'args'                => [
+					's'    => [
+						'type'              => 'string',
+						'required'          => true,
+						'sanitize_callback' => 'sanitize_text_field',
+					],
+					'type' => [
+						'type'    => 'array',
+						'items'   => [
+							'type' => 'string',
+						],
+						'default' => [],
+					],
+				],
+				'callback'            => function ( \WP_REST_Request $request ): \WP_REST_Response {
+					$search = \trim( (string) $request->get_param( 's' ) );
+
+					if ( \mb_strlen( $search ) < 2 ) {
+						return new \WP_REST_Response( [ 'results' => [], 'corrected' => '' ] );
 					}
-				}
 
-				// Remove duplicates
-				$all_post_ids = array_unique( $all_post_ids );
-
-				// If we have specific post IDs (Service/Case Study) but NOT page type
-				if ( ! empty( $all_post_ids ) && ! $include_page_type ) {
-					$query->set( 'post__in', $all_post_ids );
-				} elseif ( $include_page_type && empty( $all_post_ids ) ) {
-					// Only 'page' type selected - exclude Services and Case Studies
-					$query->set( 'post_parent__not_in', [
-						SERVICES_PAGE_ID,
-						CASE_STUDIES_PAGE_ID,
-					] );
-					$excluded_posts[] = SERVICES_PAGE_ID;
-					$excluded_posts[] = CASE_STUDIES_PAGE_ID;
-				}
-				// If both page type AND specific types are selected, don't filter by post__in
-				// (allows all valid results through)
-			}
-		}
-
-		$query->set( 'post__not_in', $excluded_posts );
-
-		$query->set( 'meta_query', [
-			'relation' => 'AND',
-			[
-				'key'     => '_local_page_state',
-				'compare' => 'NOT EXISTS',
-			],
-			[
-				'key'     => '_local_page_city',
-				'compare' => 'NOT EXISTS',
-			],
-			[
-				'key'     => '_84em_noindex',
-				'compare' => '!=',
-				'value'   => '1',
-			],
-		] );
+					return new \WP_REST_Response(
+						get_live_search_results(
+							search: \mb_substr( $search, 0, 100 ),
+							type_values: get_type_filter_values( $request->get_param( 'type' ) ),
+							limit: 10
+						)
+					);
+				},
+			]
+		);
 	}
 );
 
+/**
+ * Pass the live search endpoint to the modal search script
+ */
+\add_action(
+	hook_name: 'wp_enqueue_scripts',
+	callback: function (): void {
+		\wp_localize_script(
+			handle: 'eightyfourem-modal-search',
+			object_name: 'eightyfouremSearch',
+			l10n: [
+				'endpoint' => \rest_url( 'eightyfourem/v1/search' ),
+			]
+		);
+	},
+	priority: 20 // Run after the script is enqueued
+);
+
 \add_filter(
 	hook_name: 'render_block',
 	callback: function ( string $block_content, array $parsed_block, $block ) {